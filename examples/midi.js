@@ -0,0 +1,33 @@
+// ============================================================
+//  MIDI Theremin — Play any synth or DAW with your hands.
+//  Right index finger up = note, pinch harder = louder.
+//  Right hand height = mod wheel, left hand height = volume.
+//  Rock on with the left hand to switch sounds.
+// ============================================================
+
+function setup() {
+  createCanvas(640, 480);
+  initHands({ maxHands: 2 });
+
+  // Uses the first MIDI output. On a Mac, enable the IAC Driver in
+  // Audio MIDI Setup to route into a DAW.
+  startMidi({ onReady: function (name) { console.log("Sending MIDI to " + name); } });
+
+  mapMidi({ note: 60, finger: "index", which: "right", velocity: "pinch" });
+  mapMidi({ cc: 1, value: "index.y", which: "right", smoothing: 0.5 });
+  mapMidi({ cc: 7, value: "wrist.y", which: "left", range: [0.2, 0.8] });
+  mapMidi({ program: 1, gesture: "rockOn", which: "left" });
+}
+
+function draw() {
+  background(10, 20, 40);
+  push(); tint(255, 60); drawVideo(); pop();
+  drawHands();
+  drawHandsStatus();
+
+  push();
+  fill(255, 200); noStroke(); textSize(14); textAlign(CENTER, BOTTOM);
+  text(isMidiReady() ? "Index up = note | Right height = mod | Left height = volume"
+                     : "Waiting for a MIDI output...", width / 2, height - 10);
+  pop();
+}
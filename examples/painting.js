@@ -6,8 +6,6 @@
 
 let trail = [];
 let currentColor;
-let wasPinchingRight = false;
-let wasPinchingLeft = false;
 
 // Color palette to cycle through
 let palette = [];
@@ -28,6 +26,19 @@ function setup() {
     color(255, 255, 255), // white
   ];
   currentColor = palette[0];
+
+  // Pinch right = cycle to next color (triggers once per pinch)
+  onGesture("pinch", "right", {
+    start: () => {
+      colorIndex = (colorIndex + 1) % palette.length;
+      currentColor = palette[colorIndex];
+    }
+  });
+
+  // Pinch left = clear the canvas
+  onGesture("pinch", "left", {
+    start: () => { trail = []; }
+  });
 }
 
 function draw() {
@@ -41,7 +52,7 @@ function draw() {
   drawHands({ size: 4, colorByFinger: false, color: [255, 255, 255], strokeWeight: 1 });
   drawHandsStatus();
 
-  // --- Right hand: draw + color ---
+  // --- Right hand: point to draw ---
   if (handDetected("right")) {
     // Pointing = draw mode (only index finger up)
     if (isPointing("right")) {
@@ -55,23 +66,6 @@ function draw() {
         trail.push(null);
       }
     }
-
-    // Pinch right = cycle to next color (triggers once per pinch)
-    let pinchR = isPinching("right");
-    if (pinchR && !wasPinchingRight) {
-      colorIndex = (colorIndex + 1) % palette.length;
-      currentColor = palette[colorIndex];
-    }
-    wasPinchingRight = pinchR;
-  }
-
-  // --- Left hand: pinch to clear ---
-  if (handDetected("left")) {
-    let pinchL = isPinching("left");
-    if (pinchL && !wasPinchingLeft) {
-      trail = [];
-    }
-    wasPinchingLeft = pinchL;
   }
 
   // Draw the trail as line segments (supports per-segment color)
@@ -13,28 +13,11 @@
  *     drawHands();
  *   }
  *
- * Requires: p5.js and ml5.js (v1+)
+ * Requires: p5.js and ml5.js (v1+) — or another detector, see DETECTOR BACKENDS
  */
 (function () {
   "use strict";
 
-  // ============================================================
-  //  INTERNAL STATE
-  // ============================================================
-  var _model = null;
-  var _video = null;
-  var _hands = [];
-  var _smoothedHands = [];
-  var _prevHands = [];
-  var _ready = false;
-  var _running = false;
-  var _connections = null;
-  var _smoothing = 0.3;
-  var _flipped = true;
-  var _pInst = null;
-  var _videoW = 640;
-  var _videoH = 480;
-
   // ============================================================
   //  KEYPOINT CONSTANTS
   // ============================================================
@@ -78,9 +61,583 @@
   // Palm outline connections
   var PALM_CONNECTIONS = [[5, 9], [9, 13], [13, 17], [0, 5], [0, 17]];
 
+  // Built-in static gestures as finger patterns — the same spec format as
+  // defineGesture(). Fingers left out can be either up or down.
+  var GESTURE_SPECS = {
+    point: { fingers: { index: "up", middle: "down", ring: "down", pinky: "down" } },
+    peace: { fingers: { index: "up", middle: "up", ring: "down", pinky: "down" } },
+    thumbsUp: { fingers: { thumb: "up", index: "down", middle: "down", ring: "down", pinky: "down" } },
+    rockOn: { fingers: { index: "up", pinky: "up", middle: "down", ring: "down" } },
+    shaka: { fingers: { thumb: "up", pinky: "up", index: "down", middle: "down", ring: "down" } },
+    gun: { fingers: { thumb: "up", index: "up", middle: "down", ring: "down", pinky: "down" } },
+    three: { fingers: { index: "up", middle: "up", ring: "up", pinky: "down" } }
+  };
+
+  // Order of the built-ins in gestureScores(): most specific first, so
+  // currentGesture() prefers them on a tie.
+  var GESTURE_ORDER = ["thumbsUp", "shaka", "gun", "rockOn", "three", "peace", "point", "openHand", "pinch", "grab"];
+
+  // Gestures that aren't plain finger patterns. Each predicate gets
+  // (tracker, which, active, options); `active` is true while an onGesture()
+  // listener holds the gesture, so thresholds can apply hysteresis.
+  var GESTURE_PREDICATES = {
+    hand: function (t, which) { return t.handDetected(which); },
+    pinch: function (t, which, active, o) {
+      var threshold = o.threshold || t._thresholds(t._resolveHand(which)).pinch;
+      return t.isPinching(which, active ? threshold + o.hysteresis : threshold);
+    },
+    grab: function (t, which, active, o) {
+      var threshold = o.threshold || t._thresholds(t._resolveHand(which)).grab;
+      return t.isGrabbing(which, active ? threshold + o.hysteresis : threshold);
+    },
+    openHand: function (t, which) { return t.isOpenHand(which); }
+  };
+
+  // 0–1 scores for the predicate gestures, for gestureScores(). Each gets
+  // (tracker, hand, up, curls): `up` holds how clearly each finger is up.
+  var GESTURE_SCORERS = {
+    hand: function () { return 1; },
+    pinch: function (t, hand, up, curls) {
+      var threshold = t._thresholds(hand).pinch;
+      var d = _pinchDist(hand);
+      if (d === Infinity) return 0;
+      // A fist brings the fingertips together too, so the index must stay open
+      var indexOpen = curls.index === null ? 1 : _marginScore(0.75 - curls.index, 0.15);
+      return Math.min(_marginScore(threshold - d, threshold / 2), indexOpen);
+    },
+    grab: function (t, hand, up) {
+      return Math.min(1 - up.index, 1 - up.middle, 1 - up.ring, 1 - up.pinky);
+    },
+    openHand: function (t, hand, up) {
+      return Math.min(up.thumb, up.index, up.middle, up.ring, up.pinky);
+    }
+  };
+
+  // Curl (see fingerCurl()) at or below the first value scores as clearly up,
+  // at or above the second as clearly down.
+  var CURL_UP_DOWN = {
+    thumb: [0.25, 0.65], index: [0.2, 0.6], middle: [0.2, 0.6], ring: [0.2, 0.6], pinky: [0.2, 0.6]
+  };
+
   // ============================================================
   //  INTERNAL HELPERS
   // ============================================================
+  function _getKeypoint(hand, name) {
+    if (!hand || !hand.keypoints) return null;
+    // Try friendly short name (e.g. "thumb" → "thumb_tip")
+    if (TIP_NAMES[name]) name = TIP_NAMES[name];
+    var idx = KP[name];
+    if (idx !== undefined && hand.keypoints[idx]) return hand.keypoints[idx];
+    // Fallback: search by name property
+    return hand.keypoints.find(function (kp) { return kp.name === name; }) || null;
+  }
+
+  function _dist(p1, p2) {
+    if (!p1 || !p2) return Infinity;
+    var dx = p1.x - p2.x, dy = p1.y - p2.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  function _getKeypoint3D(hand, name) {
+    if (!hand || !hand.keypoints3D) return null;
+    if (TIP_NAMES[name]) name = TIP_NAMES[name];
+    var idx = KP[name];
+    if (idx !== undefined && hand.keypoints3D[idx]) return hand.keypoints3D[idx];
+    return hand.keypoints3D.find(function (kp) { return kp.name === name; }) || null;
+  }
+
+  function _dist3(p1, p2) {
+    if (!p1 || !p2) return Infinity;
+    var dx = p1.x - p2.x, dy = p1.y - p2.y, dz = (p1.z || 0) - (p2.z || 0);
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  function _sub3(a, b) { return { x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) }; }
+
+  function _cross(a, b) {
+    return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+  }
+
+  // Angle between two vectors in radians (0 = same direction), or null if either is zero.
+  function _angleBetween(u, v) {
+    var lu = Math.sqrt(u.x * u.x + u.y * u.y + u.z * u.z);
+    var lv = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    if (!lu || !lv) return null;
+    return Math.acos(Math.max(-1, Math.min(1, (u.x * v.x + u.y * v.y + u.z * v.z) / (lu * lv))));
+  }
+
+  function _normalize3(v) {
+    var len = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    return len ? { x: v.x / len, y: v.y / len, z: v.z / len } : null;
+  }
+
+  function _lerp(a, b, t) { return a + (b - a) * t; }
+
+  // Wrist → middle knuckle: a hand-size measure that doesn't change when the
+  // fingers curl, so it works for normalizing pinch and fist distances.
+  function _palmSize(hand) {
+    if (!hand || !hand.keypoints) return null;
+    var d = _dist(hand.keypoints[KP.wrist], hand.keypoints[KP.middle_finger_mcp]);
+    return d === Infinity || d === 0 ? null : d;
+  }
+
+  // Thumb tip ↔ index tip
+  function _pinchDist(hand) {
+    return _dist(_getKeypoint(hand, "thumb_tip"), _getKeypoint(hand, "index_finger_tip"));
+  }
+
+  // Midpoint of thumb tip and index tip, in video coordinates
+  function _pinchMid(hand) {
+    var a = _getKeypoint(hand, "thumb_tip"), b = _getKeypoint(hand, "index_finger_tip");
+    if (!a || !b) return null;
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
+
+  // Average fingertip ↔ wrist distance (Infinity when not measurable)
+  function _grabDist(hand) {
+    if (!hand || !hand.keypoints) return Infinity;
+    var wrist = hand.keypoints[KP.wrist];
+    if (!wrist) return Infinity;
+    var total = 0, n = 0;
+    for (var i = 0; i < FINGER_NAMES.length; i++) {
+      var tip = _getKeypoint(hand, TIP_NAMES[FINGER_NAMES[i]]);
+      if (tip) { total += _dist(tip, wrist); n++; }
+    }
+    return n >= 3 ? total / n : Infinity;
+  }
+
+  function _median(values) {
+    if (!values.length) return null;
+    var v = values.slice().sort(function (a, b) { return a - b; });
+    var mid = Math.floor(v.length / 2);
+    return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+  }
+
+  // Center of all keypoints
+  function _handCentroid(hand) {
+    if (!hand || !hand.keypoints || !hand.keypoints.length) return null;
+    var sx = 0, sy = 0;
+    for (var i = 0; i < hand.keypoints.length; i++) {
+      sx += hand.keypoints[i].x; sy += hand.keypoints[i].y;
+    }
+    return { x: sx / hand.keypoints.length, y: sy / hand.keypoints.length };
+  }
+
+  function _inRange(v, min, max) {
+    return (min === undefined || v >= min) && (max === undefined || v <= max);
+  }
+
+  // Direction angles wrap around, so a range like { min: 150, max: -150 }
+  // means "pointing left, give or take 30°".
+  function _inAngleRange(deg, min, max) {
+    if (min === undefined || max === undefined) return _inRange(deg, min, max);
+    if (min <= max) return deg >= min && deg <= max;
+    return deg >= min || deg <= max;
+  }
+
+  // Angle at `b` between b→a and b→c, in degrees (180 = straight line).
+  function _jointAngle(a, b, c) {
+    var angle = _angleBetween(_sub3(a, b), _sub3(c, b));
+    return angle === null ? 180 : angle * 180 / Math.PI;
+  }
+
+  // How far v is inside [min, max]: positive inside, negative outside.
+  function _rangeMargin(v, min, max) {
+    return Math.min(min === undefined ? Infinity : v - min, max === undefined ? Infinity : max - v);
+  }
+
+  // Same for direction angles, which wrap around.
+  function _angleRangeMargin(deg, min, max) {
+    if (min === undefined || max === undefined) return _rangeMargin(deg, min, max);
+    var width = ((max - min) % 360 + 360) % 360;
+    var into = ((deg - min) % 360 + 360) % 360;
+    if (into <= width) return Math.min(into, width - into);
+    return -Math.min(into - width, 360 - into);
+  }
+
+  // Margin → 0–1 score: 0.5 right on the edge, 1 when `tol` inside, 0 when `tol` outside.
+  function _marginScore(margin, tol) {
+    return Math.max(0, Math.min(1, 0.5 + margin / (2 * tol)));
+  }
+
+  // An angle in radians, converted for p5 functions that follow angleMode().
+  function _toAngleMode(p, rad) {
+    return p.DEGREES && p._angleMode === p.DEGREES ? rad * 180 / Math.PI : rad;
+  }
+
+  // Is the sketch drawing with createCanvas(w, h, WEBGL)?
+  function _isWebGL(p) {
+    return !!(p._renderer && (p._renderer.isP3D || p._renderer.GL));
+  }
+
+  // WEBGL can only draw text in a font from loadFont(), not a font name.
+  function _canDrawText(p) {
+    if (!_isWebGL(p)) return true;
+    var r = p._renderer;
+    var font = r._textFont || (r.states && r.states.textFont);
+    return !!font && typeof font === "object";
+  }
+
+  // Does the hand fit a `which` filter? (null/"any" = every hand)
+  function _handMatches(hand, which) {
+    if (!which || which === "any") return true;
+    return hand.handedness === (which.charAt(0).toLowerCase() === "l" ? "Left" : "Right");
+  }
+
+  function _copy(obj) { return JSON.parse(JSON.stringify(obj)); }
+
+  function _now() {
+    return typeof performance !== "undefined" && performance.now ? performance.now() : Date.now();
+  }
+
+  // ============================================================
+  //  SMOOTHING STRATEGIES
+  // ============================================================
+  // Each strategy takes its options and returns a factory. The factory makes
+  // one filter per keypoint: filter(point, dt) → smoothed { x, y }, where dt
+  // is the time since the previous detection in seconds. The first call
+  // should pass the point through unchanged.
+
+  // Filters one coordinate at a time, with an independent filter for x and y.
+  function _perAxis(makeScalar) {
+    return function () {
+      var fx = makeScalar(), fy = makeScalar();
+      return function (pt, dt) { return { x: fx(pt.x, dt), y: fy(pt.y, dt) }; };
+    };
+  }
+
+  var SMOOTHERS = {
+    // The classic p5.Hands lerp: amount 0–1, higher = smoother but laggier.
+    // Works per detection frame and ignores dt.
+    exponential: function (o) {
+      var amount = Math.max(0, Math.min(1, o.amount !== undefined ? o.amount : 0.3));
+      if (amount <= 0) return null;
+      return _perAxis(function () {
+        var prev = null;
+        return function (v) {
+          prev = prev === null ? v : _lerp(prev, v, 1 - amount);
+          return prev;
+        };
+      });
+    },
+
+    // One Euro filter (Casiez et al. 2012): heavy smoothing when the hand is
+    // still, little lag when it moves fast. Cutoffs are in Hz; beta is how
+    // quickly the cutoff rises with speed (in pixels/second).
+    oneEuro: function (o) {
+      var minCutoff = o.minCutoff !== undefined ? o.minCutoff : 1;
+      var beta = o.beta !== undefined ? o.beta : 0.01;
+      var dCutoff = o.dCutoff !== undefined ? o.dCutoff : 1;
+      function alpha(cutoff, dt) {
+        var tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+      }
+      return _perAxis(function () {
+        var prev = null, dPrev = 0;
+        return function (v, dt) {
+          if (prev === null) { prev = v; return v; }
+          var d = _lerp(dPrev, (v - prev) / dt, alpha(dCutoff, dt));
+          var cutoff = minCutoff + beta * Math.abs(d);
+          prev = _lerp(prev, v, alpha(cutoff, dt));
+          dPrev = d;
+          return prev;
+        };
+      });
+    },
+
+    // Constant-velocity Kalman filter. processNoise is how much the hand is
+    // expected to accelerate, measurementNoise how jittery the detections are
+    // (in pixels²). Raise measurementNoise for smoother, laggier output.
+    kalman: function (o) {
+      var q = o.processNoise !== undefined ? o.processNoise : 10000;
+      var r = o.measurementNoise !== undefined ? o.measurementNoise : 10;
+      return _perAxis(function () {
+        var x = null, v = 0;                  // state: position, velocity
+        var p00 = r, p01 = 0, p11 = 1000;     // covariance
+        return function (z, dt) {
+          if (x === null) { x = z; return z; }
+          // Predict
+          x += v * dt;
+          var dt2 = dt * dt;
+          p00 += dt * (2 * p01 + dt * p11) + q * dt2 * dt2 / 4;
+          p01 += dt * p11 + q * dt2 * dt / 2;
+          p11 += q * dt2;
+          // Update
+          var s = p00 + r;
+          var k0 = p00 / s, k1 = p01 / s;
+          var y = z - x;
+          x += k0 * y;
+          v += k1 * y;
+          p11 -= k1 * p01;
+          p01 -= k0 * p01;
+          p00 -= k0 * p00;
+          return x;
+        };
+      });
+    },
+
+    // Your own function(point, previousSmoothedPoint, dt) → { x, y }
+    custom: function (o) {
+      var fn = o.filter;
+      return function () {
+        var prev = null;
+        return function (pt, dt) {
+          var out = prev === null ? { x: pt.x, y: pt.y } : fn({ x: pt.x, y: pt.y }, prev, dt);
+          prev = { x: out.x, y: out.y };
+          return prev;
+        };
+      };
+    }
+  };
+
+  // Turn a `smoothing` option into a filter factory, or null for no smoothing.
+  //   0.3                                 → exponential
+  //   "oneEuro" / "kalman" / "none"       → that strategy, default settings
+  //   { type: "oneEuro", beta: 0.02 }     → that strategy, custom settings
+  //   function (point, prev, dt) { ... }  → custom
+  function _makeSmoother(spec) {
+    if (spec === undefined || spec === null) spec = 0.3;
+    if (spec === false || spec === "none") return null;
+    if (typeof spec === "number") spec = { type: "exponential", amount: spec };
+    else if (typeof spec === "string") spec = { type: spec };
+    else if (typeof spec === "function") spec = { type: "custom", filter: spec };
+    var strategy = SMOOTHERS[spec.type || "exponential"];
+    if (!strategy) {
+      console.warn("p5.Hands: unknown smoothing \"" + spec.type + "\" — using the default.");
+      return SMOOTHERS.exponential({});
+    }
+    return strategy(spec);
+  }
+
+  // ============================================================
+  //  DETECTOR BACKENDS
+  // ============================================================
+  // A backend is what actually finds hands. Any object with these methods
+  // works, so you can plug in your own model, a worker or a test stub:
+  //
+  //   load(options, ready)      — get ready, then call ready(). options has
+  //                               maxHands, flipped, runtime and modelType
+  //   start(source, onResults)  — detect continuously on a video/image and
+  //                               pass every raw result to onResults(results)
+  //   stop()                    — stop detecting
+  //   detect(source, callback)  — optional: detect once, callback(results)
+  //   normalize(results, size)  — optional: turn raw results into ml5-style
+  //                               hands in pixels of size { width, height }:
+  //                               [{ handedness, confidence, keypoints: [{ x, y, name }],
+  //                                  keypoints3D: [{ x, y, z, name }] }]
+  //   connections()             — optional: pairs of connected keypoint indices
+
+  // Copy of the landmark list as { x, y, z } objects ([x, y, z] arrays are fine too).
+  function _landmarkList(list) {
+    return (list || []).map(function (lm) {
+      return Array.isArray(lm) ? { x: lm[0], y: lm[1], z: lm[2] || 0 } : { x: lm.x, y: lm.y, z: lm.z || 0 };
+    });
+  }
+
+  // MediaPipe results to ml5-style hands. Takes HandLandmarker results
+  // ({ landmarks, worldLandmarks, handedness }), the older Hands solution
+  // ({ multiHandLandmarks, multiHandWorldLandmarks, multiHandedness }) or a
+  // plain array of landmark lists. Landmarks are 0–1 across the image; world
+  // landmarks are meters, like ml5's keypoints3D.
+  function _fromMediaPipe(results, size, flipped) {
+    if (!results) return [];
+    var lists = Array.isArray(results) ? results : results.landmarks || results.multiHandLandmarks || [];
+    var world = results.worldLandmarks || results.multiHandWorldLandmarks || [];
+    var labels = results.handedness || results.handednesses || results.multiHandedness || [];
+    var names = Object.keys(KP);
+    var out = [];
+    for (var h = 0; h < lists.length; h++) {
+      var lms = _landmarkList(lists[h]);
+      if (lms.length < names.length) continue;
+      var label = labels[h] && (Array.isArray(labels[h]) ? labels[h][0] : labels[h]);
+      var handedness = label ? label.categoryName || label.label || null : null;
+      // Mirroring the picture turns a left hand into a right one
+      if (flipped && handedness) handedness = handedness === "Left" ? "Right" : "Left";
+      var hand = {
+        handedness: handedness,
+        confidence: label && label.score !== undefined ? label.score : 1,
+        keypoints: lms.map(function (lm, i) {
+          var x = flipped ? 1 - lm.x : lm.x;
+          return { x: x * size.width, y: lm.y * size.height, z: lm.z * size.width, name: names[i] };
+        })
+      };
+      if (world[h]) {
+        hand.keypoints3D = _landmarkList(world[h]).map(function (lm, i) {
+          return { x: flipped ? -lm.x : lm.x, y: lm.y, z: lm.z, name: names[i] };
+        });
+      }
+      out.push(hand);
+    }
+    return out;
+  }
+
+  function _errorText(err) {
+    return err && err.message ? err.message : String(err);
+  }
+
+  // Run fn on the next animation frame (or soon, outside a browser).
+  function _nextFrame(fn) {
+    if (typeof requestAnimationFrame === "function") requestAnimationFrame(fn);
+    else setTimeout(fn, 16);
+  }
+
+  var BACKENDS = {
+    // ml5.js HandPose — the default.
+    ml5: function () {
+      var model = null;
+      return {
+        load: function (options, ready) {
+          model = ml5.handPose(options, function () { ready(); });
+        },
+        start: function (source, onResults) { model.detectStart(source, onResults); },
+        stop: function () { model.detectStop(); },
+        detect: function (source, callback) { model.detect(source, callback); },
+        connections: function () { return model.getConnections ? model.getConnections() : null; }
+      };
+    },
+
+    // MediaPipe-style normalized landmarks. Give it a detect(source) that
+    // returns (or resolves to) results, and it is called once per frame:
+    //   { type: "mediapipe", detect: function (source) {
+    //       return landmarker.detectForVideo(source.elt, performance.now()); } }
+    // Without detect(), push results in yourself with feedHands().
+    mediapipe: function (spec) {
+      // `run` is the live loop; one-shot detect() calls never touch it
+      var flipped = false, run = null;
+      function detectOnce(source, callback, onError) {
+        Promise.resolve().then(function () { return spec.detect(source); }).then(callback, function (err) {
+          if (onError) onError(err);
+          else console.warn("p5.Hands: the mediapipe detect() failed — " + _errorText(err));
+        });
+      }
+      return {
+        load: function (options, ready) {
+          flipped = !!options.flipped;
+          if (spec.load) spec.load(ready); else ready();
+        },
+        start: function (source, onResults, onError) {
+          if (!spec.detect || run) return;
+          var self = run = {};
+          (function loop() {
+            if (run !== self) return;
+            detectOnce(source, function (results) {
+              if (run !== self) return;
+              onResults(results);
+              _nextFrame(loop);
+            }, function (err) {
+              if (run !== self) return;
+              run = null;
+              if (onError) onError(err);
+              else console.warn("p5.Hands: the mediapipe detect() failed — " + _errorText(err));
+            });
+          })();
+        },
+        stop: function () { run = null; },
+        detect: spec.detect ? detectOnce : undefined,
+        normalize: function (results, size) { return _fromMediaPipe(results, size, flipped); }
+      };
+    }
+  };
+
+  // Build a backend adapter from the `backend` option: a name ("ml5",
+  // "mediapipe"), { type, ...settings }, or your own adapter object.
+  function _makeBackend(spec) {
+    if (spec === undefined || spec === null) spec = "ml5";
+    if (typeof spec === "string") spec = { type: spec };
+    if (!spec.type) {
+      if (typeof spec.load === "function" && typeof spec.start === "function" && typeof spec.stop === "function") {
+        return spec;
+      }
+      console.warn("p5.Hands: a custom backend needs load(), start() and stop() — using ml5.");
+      return BACKENDS.ml5();
+    }
+    var make = BACKENDS[spec.type];
+    if (!make) {
+      console.warn("p5.Hands: unknown backend \"" + spec.type + "\" — using ml5.");
+      make = BACKENDS.ml5;
+    }
+    return make(spec);
+  }
+
+  // ============================================================
+  //  TRACKER
+  // ============================================================
+
+  /**
+   * One independent hand tracker, with its own model, video, smoothing and
+   * history. Every p5 instance gets a default tracker behind the global
+   * helpers (initHands(), getHands(), drawHands(), ...), so two sketches on
+   * one page never share state. Create one yourself for more control:
+   *
+   *   new p5(function (p) {
+   *     let hands;
+   *     p.setup = function () {
+   *       p.createCanvas(640, 480);
+   *       hands = new p5.Hands.Tracker(p);
+   *       hands.initHands();
+   *     };
+   *     p.draw = function () {
+   *       hands.drawVideo();
+   *       hands.drawHands();
+   *     };
+   *   });
+   *
+   * A tracker has every helper as a method: hands.isPinching("left"), ...
+   */
+  function Tracker(p) {
+    this.p = p || null;
+    this._backend = null;
+    this._video = null;
+    this._ownsVideo = false;
+    this._hands = [];
+    this._smoothedHands = [];
+    this._prevHands = [];
+    this._ready = false;
+    this._running = false;
+    this._detectionRun = null;
+    this._connections = null;
+    this._smoother = _makeSmoother(0.3);
+    this._filters = {};
+    this._lastDetection = 0;
+    this._lastFrameTime = null;
+    this._flipped = true;
+    this._videoW = 640;
+    this._videoH = 480;
+    this._recording = null;
+    this._replay = null;
+    this._simulation = null;
+    this._gestureListeners = [];
+    this._gestures = {};
+    this._history = [];
+    this._historySize = 120;
+    this._strokes = null;
+    this._strokeTemplates = [];
+    this._tracks = [];
+    this._nextId = 1;
+    this._idLifetime = 500;
+    this._calibration = null;
+    this._calibrating = null;
+    this._twoHand = null;
+    this._widgets = [];
+    this._widgetPointers = {};
+    this._widgetOptions = { finger: "index", click: "both", dwellTime: 1000, cursor: true };
+    this._mouse = null;
+    this._grabbables = [];
+    this._grabPointers = {};
+    this._grabTime = 0;
+    this._poseExamples = [];
+    this._stream = null;
+    this._receive = null;
+    this._midi = null;
+    this._midiMappings = [];
+    this._view = _defaultView();
+  }
+
+  // The hands every helper reads from (smoothed when smoothing is on).
+  Tracker.prototype._source = function () {
+    return this._smoother ? this._smoothedHands : this._hands;
+  };
+
   // When `which` is undefined/null (caller didn't specify a side), we fall
   // back to the single detected hand regardless of its handedness. This
   // makes life easy for beginners who don't think about left vs. right.
@@ -88,9 +645,12 @@
   // When `which` is an explicit "left"/"right" string, we are strict: only
   // return a hand whose handedness actually matches. This prevents the
   // right-hand pinch from accidentally triggering a left-hand gesture.
-  function _resolveHand(which) {
+  //
+  // Backends that don't label hands (plain mediapipe landmark lists) give
+  // every hand a null handedness; then the default is the first hand.
+  Tracker.prototype._resolveHand = function (which) {
     if (which && typeof which === "object" && which.keypoints) return which;
-    var source = _smoothing > 0 ? _smoothedHands : _hands;
+    var source = this._source();
     if (!source || source.length === 0) return null;
 
     // Was a specific side explicitly requested?
@@ -102,60 +662,243 @@
     var wanted = which.startsWith("l") ? "Left" : "Right";
     var found = source.find(function (h) { return h.handedness === wanted; });
 
-    // Only fall back to the single hand when no explicit side was given
-    if (!found && source.length === 1 && !explicit) return source[0];
+    // Only fall back to the single (or first unlabeled) hand when no explicit side was given
+    if (!found && !explicit) {
+      if (source.length === 1) return source[0];
+      if (!source.some(function (h) { return h.handedness; })) return source[0];
+    }
     return found || null;
-  }
+  };
 
-  function _getKeypoint(hand, name) {
-    if (!hand || !hand.keypoints) return null;
-    // Try friendly short name (e.g. "thumb" → "thumb_tip")
-    if (TIP_NAMES[name]) name = TIP_NAMES[name];
-    var idx = KP[name];
-    if (idx !== undefined && hand.keypoints[idx]) return hand.keypoints[idx];
-    // Fallback: search by name property
-    return hand.keypoints.find(function (kp) { return kp.name === name; }) || null;
-  }
+  // Give every hand a persistent `id`. Each detected hand is matched to the
+  // nearest hand we were already tracking (preferring the same handedness);
+  // unmatched hands get a new id. A tracked hand that goes missing keeps its
+  // id for `idLifetime` ms, so it gets the same id back if it reappears nearby.
+  Tracker.prototype._assignIds = function (rawHands) {
+    var now = _now();
+    var lifetime = this._idLifetime;
+    var tracks = this._tracks.filter(function (tr) { return now - tr.lastSeen <= lifetime; });
+    var centers = rawHands.map(_handCentroid);
+    var pairs = [];
+    for (var hi = 0; hi < rawHands.length; hi++) {
+      if (!centers[hi]) continue;
+      for (var ti = 0; ti < tracks.length; ti++) {
+        var d = _dist(centers[hi], tracks[ti].center);
+        // A hand can move about 1.5 hand sizes between detections
+        if (d > Math.max(60, tracks[ti].size * 1.5)) continue;
+        var cost = rawHands[hi].handedness === tracks[ti].handedness ? d : d * 1.5;
+        pairs.push({ hand: hi, track: ti, cost: cost });
+      }
+    }
+    pairs.sort(function (a, b) { return a.cost - b.cost; });
 
-  function _dist(p1, p2) {
-    if (!p1 || !p2) return Infinity;
-    var dx = p1.x - p2.x, dy = p1.y - p2.y;
-    return Math.sqrt(dx * dx + dy * dy);
-  }
+    var handTaken = [], trackTaken = [];
+    for (var i = 0; i < pairs.length; i++) {
+      var pr = pairs[i];
+      if (handTaken[pr.hand] || trackTaken[pr.track]) continue;
+      handTaken[pr.hand] = trackTaken[pr.track] = true;
+      rawHands[pr.hand].id = tracks[pr.track].id;
+    }
 
-  function _lerp(a, b, t) { return a + (b - a) * t; }
+    for (var j = 0; j < rawHands.length; j++) {
+      var hand = rawHands[j];
+      if (!handTaken[j]) hand.id = this._nextId++;
+      var track = tracks.find(function (tr) { return tr.id === hand.id; });
+      if (!track) { track = { id: hand.id }; tracks.push(track); }
+      var size = hand.keypoints ? _dist(hand.keypoints[KP.wrist], hand.keypoints[KP.middle_finger_tip]) : Infinity;
+      track.handedness = hand.handedness;
+      track.center = centers[j] || track.center;
+      track.size = size === Infinity ? 0 : size;
+      track.lastSeen = now;
+    }
+    this._tracks = tracks;
+  };
 
-  function _smoothHands(rawHands) {
-    if (_smoothing <= 0 || !rawHands) { _smoothedHands = rawHands; return; }
-    var t = 1 - _smoothing; // higher smoothing = slower response
+  // Run every keypoint through its own filter. Filters are kept per hand id;
+  // a hand that disappears starts fresh when it comes back. Frames with a
+  // timestamp `t` (ms: replays, received streams) are spaced by it rather
+  // than by when they arrive, so a replay smooths like the live session.
+  Tracker.prototype._smoothHands = function (rawHands, t) {
+    var now = _now(), stamped = typeof t === "number" && isFinite(t);
+    var dt = stamped && this._lastFrameTime !== null ? (t - this._lastFrameTime) / 1000
+      : !stamped && this._lastDetection ? (now - this._lastDetection) / 1000 : 1 / 30;
+    dt = Math.max(0.001, dt);
+    this._lastDetection = now;
+    this._lastFrameTime = stamped ? t : null;
+    if (!this._smoother || !rawHands) { this._smoothedHands = rawHands; return; }
+    var filters = {};
     var result = [];
     for (var hi = 0; hi < rawHands.length; hi++) {
       var raw = rawHands[hi];
-      var prev = _smoothedHands.find(function (h) { return h.handedness === raw.handedness; });
-      if (!prev || !prev.keypoints) {
-        try { result.push(JSON.parse(JSON.stringify(raw))); } catch (e) { result.push(raw); }
-        continue;
-      }
       var smoothed;
       try { smoothed = JSON.parse(JSON.stringify(raw)); } catch (e) { result.push(raw); continue; }
+      var bank = this._filters[raw.id] || [];
       for (var i = 0; i < smoothed.keypoints.length; i++) {
-        if (prev.keypoints[i]) {
-          smoothed.keypoints[i].x = _lerp(prev.keypoints[i].x, raw.keypoints[i].x, t);
-          smoothed.keypoints[i].y = _lerp(prev.keypoints[i].y, raw.keypoints[i].y, t);
-        }
+        if (!bank[i]) bank[i] = this._smoother();
+        var out = bank[i](raw.keypoints[i], dt);
+        smoothed.keypoints[i].x = out.x;
+        smoothed.keypoints[i].y = out.y;
       }
+      filters[raw.id] = bank;
       result.push(smoothed);
     }
-    _smoothedHands = result;
-  }
+    this._filters = filters;
+    this._smoothedHands = result;
+  };
 
-  function _handleResults(results) {
-    _prevHands = _smoothing > 0
-      ? _smoothedHands.map(function (h) { return JSON.parse(JSON.stringify(h)); })
-      : _hands.map(function (h) { return JSON.parse(JSON.stringify(h)); });
-    _hands = results || [];
-    _smoothHands(_hands);
-  }
+  Tracker.prototype._resetSmoothing = function () {
+    this._smoothedHands = [];
+    this._filters = {};
+    this._lastDetection = 0;
+    this._lastFrameTime = null;
+  };
+
+  Tracker.prototype._resetTracking = function () {
+    this._tracks = [];
+    this._history = [];
+  };
+
+  // One frame of hands from any source. `t` is the frame's own time in ms,
+  // when it has one (see _smoothHands()).
+  Tracker.prototype._handleResults = function (results, t) {
+    if (this._recording) {
+      try {
+        this._recording.frames.push({ t: Math.round(_now() - this._recording.startTime), hands: _copy(results || []) });
+      } catch (e) { /* unserializable frame — skip it rather than break detection */ }
+    }
+    this._prevHands = this._source().map(function (h) { return JSON.parse(JSON.stringify(h)); });
+    this._hands = results || [];
+    this._assignIds(this._hands);
+    this._smoothHands(this._hands, t);
+    this._history.push({ t: _now(), hands: this._source().map(_copy) });
+    if (this._history.length > this._historySize) this._history.shift();
+    this._updateGestureEvents();
+    this._updateCalibration();
+    this._updateWidgets();
+    this._updateMouse();
+    this._updateGrabbables();
+    this._updateStream();
+    this._updateMidi();
+  };
+
+  // Keypoint positions over the history for the hand with this id, oldest
+  // first, as { x, y, t }. Frames without that hand are skipped.
+  Tracker.prototype._historyOf = function (id, name, since) {
+    var out = [];
+    for (var i = 0; i < this._history.length; i++) {
+      var frame = this._history[i];
+      if (since !== undefined && frame.t < since) continue;
+      var h = frame.hands.find(function (hh) { return hh.id === id; });
+      var kp = _getKeypoint(h, name);
+      if (kp) out.push({ x: kp.x, y: kp.y, t: frame.t });
+    }
+    return out;
+  };
+
+  // Size of the current video or image, in pixels.
+  Tracker.prototype._sourceSize = function () {
+    return {
+      width: (this._video && this._video.width) || this._videoW,
+      height: (this._video && this._video.height) || this._videoH
+    };
+  };
+
+  // Raw backend results → ml5-style hands.
+  Tracker.prototype._normalize = function (results) {
+    var backend = this._backend;
+    return backend && backend.normalize ? backend.normalize(results, this._sourceSize()) : results;
+  };
+
+  // Callback handed to the backend: routes detection results to this tracker.
+  Tracker.prototype._resultsCallback = function () {
+    var self = this;
+    return function (results) { self._handleResults(self._normalize(results)); };
+  };
+
+  // Stop continuous detection, if it's running.
+  Tracker.prototype._stopDetection = function () {
+    if (this._backend && this._running) { this._backend.stop(); this._running = false; }
+    this._detectionRun = null;
+  };
+
+  Tracker.prototype._startDetection = function () {
+    var self = this, backend = this._backend;
+    if (backend.connections) this._connections = backend.connections();
+    var run = this._detectionRun = {};
+    // A backend that gives up reports it here, so handsReady() stops saying yes
+    backend.start(this._video, this._resultsCallback(), function (err) {
+      if (self._detectionRun !== run || !self._running) return;
+      self._running = false;
+      console.warn("p5.Hands: hand detection stopped — " + _errorText(err));
+    });
+    this._running = true;
+  };
+
+  // Feed the next due frame(s) of a replay into the normal results pipeline,
+  // then schedule a timer for the one after that.
+  Tracker.prototype._replayTick = function () {
+    var r = this._replay;
+    if (!r) return;
+    var self = this;
+    var frames = r.recording.frames;
+    var elapsed = (_now() - r.startTime) * r.speed;
+    while (r.index < frames.length && frames[r.index].t <= elapsed) {
+      this._handleResults(_copy(frames[r.index].hands), frames[r.index].t);
+      r.index++;
+    }
+    if (r.index >= frames.length) {
+      if (r.loop && frames.length) {
+        r.index = 0;
+        r.startTime = _now();
+        this._prevHands = [];
+        this._resetSmoothing();
+        this._resetTracking();
+      } else {
+        this._replay = null;
+        this._running = false;
+        if (r.onEnd) r.onEnd();
+        return;
+      }
+    }
+    var wait = (frames[r.index].t - (_now() - r.startTime) * r.speed) / r.speed;
+    r.timer = setTimeout(function () { self._replayTick(); }, Math.max(0, wait));
+  };
+
+  // Let go of the current source; only a webcam we created ourselves is removed.
+  Tracker.prototype._releaseVideo = function () {
+    if (this._video && this._ownsVideo) this._video.remove();
+    this._video = null;
+    this._ownsVideo = false;
+  };
+
+  Tracker.prototype._stopReplay = function () {
+    if (!this._replay) return;
+    clearTimeout(this._replay.timer);
+    this._replay = null;
+    this._running = false;
+  };
+
+  // Apply the options shared by loadHands() and initHands(); returns the
+  // options for the backend's load().
+  Tracker.prototype._configure = function (options) {
+    this._smoother = _makeSmoother(options.smoothing);
+    this._resetSmoothing();
+    this._videoW = options.width || 640;
+    this._videoH = options.height || 480;
+    this._historySize = options.historySize !== undefined ? Math.max(2, options.historySize) : 120;
+    this._idLifetime = options.idLifetime !== undefined ? options.idLifetime : 500;
+    this._view = _defaultView();
+    this.setHandsView(options);
+
+    var modelOpts = { maxHands: options.maxHands || 2 };
+    this._backend = _makeBackend(options.backend);
+    // Mirror the webcam like a selfie, but leave your own clips and images as they are
+    this._flipped = options.flipped !== undefined ? !!options.flipped : !options.source;
+    modelOpts.flipped = this._flipped;
+    if (options.runtime) modelOpts.runtime = options.runtime;
+    if (options.modelType) modelOpts.modelType = options.modelType;
+    return modelOpts;
+  };
 
   // ============================================================
   //  INITIALIZATION
@@ -167,53 +910,54 @@
    *
    *   function preload() { loadHands(); }
    *   function setup() { createCanvas(640,480); startHands(); }
+   *
+   * On a tracker, pass a callback to know when the model is ready:
+   *   hands.loadHands(options, function () { ... })
    */
-  p5.prototype.loadHands = function (options) {
-    _pInst = this;
+  Tracker.prototype.loadHands = function (options, callback) {
     options = options || {};
-    _smoothing = Math.max(0, Math.min(1, options.smoothing !== undefined ? options.smoothing : 0.3));
-    _videoW = options.width || 640;
-    _videoH = options.height || 480;
-
-    var modelOpts = { maxHands: options.maxHands || 2 };
-    _flipped = options.flipped !== undefined ? !!options.flipped : true;
-    modelOpts.flipped = _flipped;
-    if (options.runtime) modelOpts.runtime = options.runtime;
-    if (options.modelType) modelOpts.modelType = options.modelType;
+    this._stopDetection();
+    var modelOpts = this._configure(options);
 
     var self = this;
-    _model = ml5.handPose(modelOpts, function () {
-      _ready = true;
-      if (_model.getConnections) _connections = _model.getConnections();
-      if (self._decrementPreload) self._decrementPreload();
+    var backend = this._backend;
+    backend.load(modelOpts, function () {
+      self._ready = true;
+      if (backend.connections) self._connections = backend.connections();
+      if (callback) callback();
     });
   };
 
-  p5.prototype.registerPreloadMethod("loadHands", p5.prototype);
-
   /**
    * Start hand detection. Call in setup() after loadHands() in preload().
+   * Pass { source } to detect on your own video, capture, image or graphics
+   * instead of the webcam (use loadHands({ flipped: false }) for clips).
    */
-  p5.prototype.startHands = function (options) {
-    _pInst = this;
+  Tracker.prototype.startHands = function (options) {
+    var p = this.p;
     options = options || {};
-    var w = options.width || _videoW;
-    var h = options.height || _videoH;
+    var w = options.width || this._videoW;
+    var h = options.height || this._videoH;
+    this._stopReplay();
+    this._stopSimulation();
+    this._stopReceiving();
 
-    if (!_video) {
-      _video = this.createCapture(this.VIDEO);
-      _video.size(w, h);
-      _video.hide();
+    if (options.source && options.source !== this._video) {
+      this._stopDetection();
+      this._releaseVideo();
+      this._video = options.source;
     }
-    if (!_model) {
+    if (!this._video) {
+      this._video = p.createCapture(p.VIDEO);
+      this._video.size(w, h);
+      this._video.hide();
+      this._ownsVideo = true;
+    }
+    if (!this._backend) {
       console.warn("p5.Hands: startHands() called before loadHands() finished — detection will not start.");
       return;
     }
-    if (!_running) {
-      if (_model.getConnections) _connections = _model.getConnections();
-      _model.detectStart(_video, _handleResults);
-      _running = true;
-    }
+    if (!this._running) this._startDetection();
   };
 
   /**
@@ -228,405 +972,3744 @@
    * Options:
    *   maxHands  — number of hands to detect (default 2)
    *   flipped   — mirror the video like a selfie (default true, set false to disable)
-   *   smoothing — 0 to 1, higher = smoother but laggier (default 0.3)
+   *   smoothing — 0 to 1, higher = smoother but laggier (default 0.3),
+   *               or a strategy: "oneEuro", "kalman", { type: "oneEuro", beta: 0.02 },
+   *               a function(point, prev, dt), or "none" — see setHandsSmoothing()
    *   width     — video width  (default 640)
    *   height    — video height (default 480)
+   *   historySize — detection frames kept for pointHistory() (default 120)
+   *   idLifetime  — ms a lost hand keeps its id, in case it comes back (default 500)
+   *   fit, zoom, offsetX, offsetY, canvasCoords — how the video sits on the
+   *               canvas, see setHandsView()
+   *   source    — detect on this instead of the webcam: a createVideo() clip,
+   *               an existing capture, a p5.Image or p5.Graphics. Not mirrored
+   *               unless you pass flipped: true
+   *   backend   — what detects the hands: "ml5" (default), "mediapipe",
+   *               { type: "mediapipe", detect: fn } or your own adapter
    */
-  p5.prototype.initHands = function (options) {
-    _pInst = this;
+  Tracker.prototype.initHands = function (options) {
+    var p = this.p;
     options = options || {};
-    _smoothing = Math.max(0, Math.min(1, options.smoothing !== undefined ? options.smoothing : 0.3));
-    _videoW = options.width || 640;
-    _videoH = options.height || 480;
-
-    var modelOpts = { maxHands: options.maxHands || 2 };
-    _flipped = options.flipped !== undefined ? !!options.flipped : true;
-    modelOpts.flipped = _flipped;
-    if (options.runtime) modelOpts.runtime = options.runtime;
-    if (options.modelType) modelOpts.modelType = options.modelType;
+    this._stopReplay();
+    this._stopSimulation();
+    this._stopReceiving();
+    this._stopDetection();
+    this._ready = false;
+    var modelOpts = this._configure(options);
+    this._releaseVideo();
 
-    if (_video) {
-      if (_model && _running) { _model.detectStop(); _running = false; }
-      _model = null;
-      _video.remove();
-      _video = null;
-      _ready = false;
+    if (options.source) {
+      this._video = options.source;
+    } else {
+      this._video = p.createCapture(p.VIDEO);
+      this._video.size(this._videoW, this._videoH);
+      this._video.hide();
+      this._ownsVideo = true;
     }
 
-    _video = this.createCapture(this.VIDEO);
-    _video.size(_videoW, _videoH);
-    _video.hide();
+    var self = this;
+    var backend = this._backend;
+    backend.load(modelOpts, function () {
+      // A newer initHands() call may have replaced this backend meanwhile
+      if (self._backend !== backend) return;
+      self._ready = true;
+      self._startDetection();
+    });
+  };
 
-    _model = ml5.handPose(modelOpts, function () {
-      _ready = true;
-      if (_model.getConnections) _connections = _model.getConnections();
-      _model.detectStart(_video, _handleResults);
-      _running = true;
+  /**
+   * Detect hands once in a still image (p5.Image, p5.Graphics, a video frame).
+   * Needs a loaded model — call loadHands() first. The image becomes the
+   * current source, so every helper and drawing function works on it:
+   *   detectHandsOnce(photo, function (hands) {
+   *     console.log(hands.length, countFingers());
+   *   });
+   * Each image is analysed on its own: no smoothing or ids carry over.
+   */
+  Tracker.prototype.detectHandsOnce = function (image, callback) {
+    if (!this._backend || !this._ready) {
+      console.warn("p5.Hands: detectHandsOnce() needs a loaded model — call loadHands() first.");
+      return;
+    }
+    if (!this._backend.detect) {
+      console.warn("p5.Hands: this backend can't detect single images (it has no detect()).");
+      return;
+    }
+    var self = this;
+    this._stopReplay();
+    this._stopSimulation();
+    this._stopReceiving();
+    this._stopDetection();
+    this._backend.detect(image, function (results) {
+      if (image !== self._video) {
+        self._releaseVideo();
+        self._video = image;
+      }
+      self._hands = [];
+      self._resetSmoothing();
+      self._resetTracking();
+      self._handleResults(self._normalize(results));
+      if (callback) callback(self.getHands());
+    }, function (err) {
+      console.warn("p5.Hands: detectHandsOnce() failed — " + _errorText(err));
     });
   };
 
-  /** Stop hand detection. */
-  p5.prototype.stopHands = function () {
-    if (_model && _running) { _model.detectStop(); _running = false; }
+  /** Stop hand detection (or a running replay, simulation or receiveHands()). */
+  Tracker.prototype.stopHands = function () {
+    if (this._replay) { this._stopReplay(); return; }
+    if (this._simulation) { this._stopSimulation(); return; }
+    if (this._receive) { this._stopReceiving(); return; }
+    this._stopDetection();
   };
 
-  // ============================================================
-  //  DATA ACCESS
-  // ============================================================
+  /**
+   * Hand detection results to the tracker yourself — from a worker, another
+   * page, a test. They go through the backend's normalize() (so MediaPipe
+   * landmarks work with the "mediapipe" backend) and then the normal pipeline.
+   *   loadHands({ backend: "mediapipe" });
+   *   worker.onmessage = function (e) { feedHands(e.data); };
+   */
+  Tracker.prototype.feedHands = function (results) {
+    this._handleResults(this._normalize(results));
+  };
 
-  /** Get all detected hands (array). */
-  p5.prototype.getHands = function () {
-    return _smoothing > 0 ? _smoothedHands : _hands;
+  /**
+   * Change how keypoints are smoothed, at any time.
+   *   setHandsSmoothing(0.5)          // classic lerp, 0–1
+   *   setHandsSmoothing("oneEuro")    // steady when still, quick when moving
+   *   setHandsSmoothing({ type: "oneEuro", minCutoff: 1, beta: 0.02, dCutoff: 1 })
+   *   setHandsSmoothing({ type: "kalman", processNoise: 10000, measurementNoise: 10 })
+   *   setHandsSmoothing(function (point, prev, dt) { return { x: ..., y: ... }; })
+   *   setHandsSmoothing("none")
+   */
+  Tracker.prototype.setHandsSmoothing = function (smoothing) {
+    this._smoother = _makeSmoother(smoothing);
+    this._resetSmoothing();
+    this._smoothHands(this._hands);
   };
 
-  /** Get a specific hand. Pass "left", "right", or "any". Default "right". */
-  p5.prototype.getHand = function (which) { return _resolveHand(which); };
+  // ============================================================
+  //  RECORDING & REPLAY
+  // ============================================================
+
+  /**
+   * Start recording every detection frame (with timestamps).
+   * Call stopRecordingHands() to get the recording back.
+   *
+   *   recordHands();
+   *   // ... later
+   *   let rec = stopRecordingHands();
+   */
+  Tracker.prototype.recordHands = function () {
+    this._recording = {
+      version: 1,
+      width: this._videoW,
+      height: this._videoH,
+      flipped: this._flipped,
+      startTime: _now(),
+      frames: []
+    };
+  };
+
+  /** Stop recording and return the recording ({ version, width, height, flipped, frames }). */
+  Tracker.prototype.stopRecordingHands = function () {
+    var rec = this._recording;
+    this._recording = null;
+    if (!rec) return null;
+    delete rec.startTime;
+    return rec;
+  };
+
+  /** Is a recording in progress? */
+  Tracker.prototype.isRecordingHands = function () { return this._recording !== null; };
+
+  /**
+   * Stop recording (if needed) and download the recording as a JSON file.
+   *   saveHandsRecording("session.json")
+   */
+  Tracker.prototype.saveHandsRecording = function (recording, filename) {
+    if (typeof recording === "string" || recording === undefined) { filename = recording; recording = null; }
+    recording = this._recordingToSave(recording, "saveHandsRecording");
+    if (recording) this.p.saveJSON(recording, filename || "hands-recording.json");
+  };
+
+  /**
+   * Play a recording back through the normal pipeline, instead of the webcam.
+   * Every helper (getHands, isPinching, drawHands, ...) behaves as it did live.
+   *
+   *   let rec;
+   *   function preload() { rec = loadJSON("session.json"); }
+   *   function setup() { createCanvas(640, 480); replayHands(rec, { loop: true }); }
+   *
+   * Options:
+   *   loop  — start over when the recording ends (default false)
+   *   speed — playback speed multiplier (default 1)
+   *   onEnd — function called when playback finishes (not called when looping)
+   */
+  Tracker.prototype.replayHands = function (recording, options) {
+    options = options || {};
+    if (!recording || !Array.isArray(recording.frames)) {
+      console.warn("p5.Hands: replayHands() needs a recording from stopRecordingHands() or a saved JSON file.");
+      return;
+    }
+    this._stopDetection();
+    this._stopReplay();
+    this._stopSimulation();
+    this._stopReceiving();
+
+    if (recording.width) this._videoW = recording.width;
+    if (recording.height) this._videoH = recording.height;
+    if (recording.flipped !== undefined) this._flipped = !!recording.flipped;
+
+    this._hands = [];
+    this._resetSmoothing();
+    this._resetTracking();
+    this._prevHands = [];
+    this._ready = true;
+    this._running = true;
+    this._replay = {
+      recording: recording,
+      index: 0,
+      loop: !!options.loop,
+      speed: options.speed > 0 ? options.speed : 1,
+      onEnd: options.onEnd || null,
+      startTime: _now(),
+      timer: null
+    };
+    if (recording.frames.length === 0) { this._stopReplay(); return; }
+    this._replayTick();
+  };
+
+  /** Is a recording currently being replayed? */
+  Tracker.prototype.isReplayingHands = function () { return this._replay !== null; };
+
+  // ============================================================
+  //  EXPORT — recordings as CSV and BVH, for analysis and animation
+  // ============================================================
+
+  function _cell(v, places) {
+    return v === undefined || v === null || !isFinite(v) ? "" : String(_round(v, places));
+  }
+
+  /**
+   * A recording as CSV: one row per frame, with the video size, then per
+   * hand its handedness, confidence, every keypoint (x, y in video pixels,
+   * x3d, y3d, z3d in meters) and a 0/1 column per gesture.
+   *   let csv = exportHandsCSV(stopRecordingHands());
+   */
+  Tracker.prototype.exportHandsCSV = function (recording) {
+    if (!recording || !Array.isArray(recording.frames)) {
+      console.warn("p5.Hands: exportHandsCSV() needs a recording from stopRecordingHands().");
+      return null;
+    }
+    var self = this, slots = 0;
+    recording.frames.forEach(function (f) { slots = Math.max(slots, f.hands.length); });
+    var gestures = Object.keys(this._gestures).concat(GESTURE_ORDER);
+
+    var header = ["frame", "t", "width", "height", "flipped", "hands"];
+    for (var s = 0; s < slots; s++) {
+      var pre = "h" + s + "_";
+      header.push(pre + "handedness", pre + "confidence");
+      KP_NAMES.forEach(function (n) {
+        header.push(pre + n + "_x", pre + n + "_y", pre + n + "_x3d", pre + n + "_y3d", pre + n + "_z3d");
+      });
+      gestures.forEach(function (g) { header.push(pre + "gesture_" + g.replace(/[^\w-]/g, "_")); });
+    }
+    var perHand = 2 + KP_NAMES.length * 5 + gestures.length;
+
+    var rows = [header.join(",")];
+    recording.frames.forEach(function (frame, i) {
+      var row = [i, frame.t, recording.width, recording.height, recording.flipped ? 1 : 0, frame.hands.length];
+      for (var s = 0; s < slots; s++) {
+        var hand = frame.hands[s];
+        if (!hand) {
+          for (var k = 0; k < perHand; k++) row.push("");
+          continue;
+        }
+        row.push(hand.handedness || "", _cell(hand.confidence, 4));
+        KP_NAMES.forEach(function (n, k) {
+          var kp = hand.keypoints[k] || {}, kp3 = (hand.keypoints3D && hand.keypoints3D[k]) || {};
+          row.push(_cell(kp.x, 3), _cell(kp.y, 3), _cell(kp3.x, 6), _cell(kp3.y, 6), _cell(kp3.z, 6));
+        });
+        gestures.forEach(function (g) { row.push(self.isGesture(g, hand) ? 1 : 0); });
+      }
+      rows.push(row.join(","));
+    });
+    return rows.join("\n");
+  };
+
+  /**
+   * Turn CSV from exportHandsCSV() back into a recording, for replayHands().
+   * Gesture columns are ignored — they're worked out again on replay.
+   *   let rec = importHandsCSV(loadedLines.join("\n"));
+   */
+  Tracker.prototype.importHandsCSV = function (csv) {
+    var lines = (Array.isArray(csv) ? csv : String(csv || "").split(/\r?\n/)).filter(function (l) { return l.trim(); });
+    var header = lines.length ? lines[0].split(",") : [];
+    var col = {};
+    header.forEach(function (name, i) { col[name.trim()] = i; });
+    if (col.t === undefined || col.h0_handedness === undefined) {
+      console.warn("p5.Hands: importHandsCSV() — not CSV from exportHandsCSV().");
+      return null;
+    }
+    var slots = 0;
+    while (col["h" + slots + "_handedness"] !== undefined) slots++;
+
+    var recording = { version: 1, width: 640, height: 480, flipped: true, frames: [] };
+    lines.slice(1).forEach(function (line, i) {
+      var cells = line.split(",");
+      function num(name) {
+        var c = cells[col[name]];
+        return c === undefined || c === "" ? null : Number(c);
+      }
+      if (i === 0) {
+        if (num("width")) recording.width = num("width");
+        if (num("height")) recording.height = num("height");
+        if (num("flipped") !== null) recording.flipped = num("flipped") === 1;
+      }
+      var frame = { t: num("t") || 0, hands: [] };
+      for (var s = 0; s < slots; s++) {
+        // An empty slot has no keypoints; an empty handedness is an unlabeled hand
+        var pre = "h" + s + "_";
+        if (num(pre + "wrist_x") === null || num(pre + "wrist_y") === null) continue;
+        var hand = {
+          handedness: cells[col[pre + "handedness"]] || null,
+          confidence: num(pre + "confidence"),
+          keypoints: KP_NAMES.map(function (n) { return { x: num(pre + n + "_x"), y: num(pre + n + "_y"), name: n }; })
+        };
+        if (num(pre + "wrist_x3d") !== null) {
+          hand.keypoints3D = KP_NAMES.map(function (n) {
+            return { x: num(pre + n + "_x3d"), y: num(pre + n + "_y3d"), z: num(pre + n + "_z3d"), name: n };
+          });
+        }
+        frame.hands.push(hand);
+      }
+      recording.frames.push(frame);
+    });
+    return recording;
+  };
+
+  // Small 3×3 matrix helpers for BVH rotations. Matrices are arrays of rows.
+  function _vsub(a, b) { return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]; }
+  function _vcross(a, b) { return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]; }
+  function _vdot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+  function _vnorm(a) {
+    var l = Math.sqrt(_vdot(a, a));
+    return l > 0 ? [a[0] / l, a[1] / l, a[2] / l] : [0, 1, 0];
+  }
+  function _mmul(a, b) {
+    var out = [];
+    for (var i = 0; i < 3; i++) {
+      out.push([0, 1, 2].map(function (j) { return a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j]; }));
+    }
+    return out;
+  }
+  function _mT(a) { return [0, 1, 2].map(function (i) { return [a[0][i], a[1][i], a[2][i]]; }); }
+  function _mapply(m, v) { return [_vdot(m[0], v), _vdot(m[1], v), _vdot(m[2], v)]; }
+
+  // The smallest rotation that turns direction a into direction b.
+  function _rotBetween(a, b) {
+    a = _vnorm(a); b = _vnorm(b);
+    var axis = _vcross(a, b), s = Math.sqrt(_vdot(axis, axis)), c = _vdot(a, b);
+    if (s < 1e-9) {
+      if (c > 0) return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+      // Opposite: half a turn around any perpendicular axis
+      axis = _vnorm(Math.abs(a[0]) < 0.9 ? _vcross(a, [1, 0, 0]) : _vcross(a, [0, 1, 0]));
+      s = 0;
+    } else {
+      axis = [axis[0] / s, axis[1] / s, axis[2] / s];
+    }
+    var x = axis[0], y = axis[1], z = axis[2], t = 1 - c;
+    return [
+      [t * x * x + c, t * x * y - s * z, t * x * z + s * y],
+      [t * x * y + s * z, t * y * y + c, t * y * z - s * x],
+      [t * x * z - s * y, t * y * z + s * x, t * z * z + c]
+    ];
+  }
+
+  // Euler angles in degrees for BVH's "Zrotation Xrotation Yrotation" order (R = Rz·Rx·Ry).
+  function _eulerZXY(m) {
+    var d = 180 / Math.PI;
+    var x = Math.asin(Math.max(-1, Math.min(1, m[2][1])));
+    // Gimbal lock: Z and Y turn about the same axis, so put it all in Z
+    if (Math.abs(m[2][1]) > 0.99999) return [Math.atan2(m[1][0], m[0][0]) * d, x * d, 0];
+    return [Math.atan2(-m[0][1], m[1][1]) * d, x * d, Math.atan2(-m[2][0], m[2][2]) * d];
+  }
+
+  // Palm orientation: wrist → middle MCP, and the normal of the palm
+  // spanned by the index and pinky MCPs. Columns of the returned matrix.
+  function _palmBasis(pts) {
+    var w = _vnorm(_vcross(_vsub(pts[KP.index_finger_mcp], pts[KP.wrist]), _vsub(pts[KP.pinky_finger_mcp], pts[KP.wrist])));
+    var u = _vsub(pts[KP.middle_finger_mcp], pts[KP.wrist]), uw = _vdot(u, w);
+    // The middle MCP is rarely exactly in that plane — keep the axes square
+    u = _vnorm([u[0] - uw * w[0], u[1] - uw * w[1], u[2] - uw * w[2]]);
+    var v = _vcross(w, u);
+    return [[u[0], v[0], w[0]], [u[1], v[1], w[1]], [u[2], v[2], w[2]]];
+  }
+
+  /**
+   * A recording as a BVH skeleton animation, for Blender, Maya and friends.
+   * The wrist is the root and every finger a chain (FINGER_CONNECTIONS);
+   * the palm outline (PALM_CONNECTIONS) rides along as the wrist's rotation.
+   *   saveStrings(exportHandsBVH(rec, { which: "left" }).split("\n"), "left.bvh");
+   *
+   * Options:
+   *   which — "right" or "left" (default: the first hand in the recording)
+   *   fps   — frames per second of the animation (default 30)
+   *   units — "cm" from keypoints3D (default, when every frame has them:
+   *           the hand's shape, centered on itself) or "pixels" (its travel
+   *           across the video, flat)
+   */
+  Tracker.prototype.exportHandsBVH = function (recording, options) {
+    options = options || {};
+    if (!recording || !Array.isArray(recording.frames)) {
+      console.warn("p5.Hands: exportHandsBVH() needs a recording from stopRecordingHands().");
+      return null;
+    }
+    var first = null;
+    recording.frames.some(function (f) { first = f.hands[0] || null; return first; });
+    if (!first) {
+      console.warn("p5.Hands: exportHandsBVH() — the recording has no hands.");
+      return null;
+    }
+    // Landmarks without handedness (some feedHands() sources) export as one unlabeled hand
+    var side = options.which ? (String(options.which).charAt(0).toLowerCase() === "l" ? "Left" : "Right") : first.handedness || null;
+
+    // Resample at a fixed rate, holding the last pose while the hand is missing
+    var fps = options.fps > 0 ? options.fps : 30;
+    var frames = recording.frames, end = frames.length ? frames[frames.length - 1].t : 0;
+    var picked = [], fi = 0;
+    for (var n = 0; n * 1000 / fps <= end; n++) {
+      var t = n * 1000 / fps;
+      while (fi + 1 < frames.length && frames[fi + 1].t <= t) fi++;
+      picked.push((frames[fi].hands || []).find(function (h) {
+        return (h.handedness || null) === side && h.keypoints && h.keypoints.length >= 21;
+      }) || null);
+    }
+    var found = picked.filter(Boolean);
+    if (!found.length) {
+      console.warn("p5.Hands: exportHandsBVH() — no " + (side ? side.toLowerCase() + " " : "") + "hand in the recording.");
+      return null;
+    }
+
+    // cm and pixels don't mix in one skeleton: 3D only when every pose has it
+    var use3D = options.units !== "pixels" && found.every(function (h) {
+      return h.keypoints3D && h.keypoints3D.length >= 21;
+    });
+    if (options.units !== "pixels" && !use3D && found.some(function (h) { return h.keypoints3D; })) {
+      console.warn("p5.Hands: exportHandsBVH() — some frames have no 3D keypoints, exporting in pixels.");
+    }
+    // BVH is y-up; video and ml5 are y-down
+    function points(hand) {
+      var kps = use3D ? hand.keypoints3D : hand.keypoints, k = use3D ? 100 : 1;
+      return kps.map(function (kp) { return kp ? [kp.x * k, -kp.y * k, -(kp.z || 0) * k] : [0, 0, 0]; });
+    }
+    var poses = [], last = null;
+    picked.forEach(function (hand) {
+      if (hand) last = points(hand);
+      if (last) poses.push(last);
+    });
+
+    var rest = poses[0];
+    var chains = FINGER_NAMES.map(function (f) { return FINGER_CONNECTIONS[f]; });
+    function fmt(v) { return v.map(function (n) { return n.toFixed(4); }).join(" "); }
+
+    var lines = ["HIERARCHY", "ROOT wrist", "{", "  OFFSET 0.0000 0.0000 0.0000",
+      "  CHANNELS 6 Xposition Yposition Zposition Zrotation Xrotation Yrotation"];
+    chains.forEach(function (chain) {
+      var pad = "  ";
+      for (var j = 1; j < chain.length - 1; j++) {
+        lines.push(pad + "JOINT " + KP_NAMES[chain[j]], pad + "{",
+          pad + "  OFFSET " + fmt(_vsub(rest[chain[j]], rest[chain[j - 1]])),
+          pad + "  CHANNELS 3 Zrotation Xrotation Yrotation");
+        pad += "  ";
+      }
+      lines.push(pad + "End Site", pad + "{", pad + "  OFFSET " + fmt(_vsub(rest[chain[chain.length - 1]], rest[chain[chain.length - 2]])), pad + "}");
+      for (j = chain.length - 2; j >= 1; j--) { pad = pad.slice(2); lines.push(pad + "}"); }
+    });
+    lines.push("}", "MOTION", "Frames: " + poses.length, "Frame Time: " + (1 / fps).toFixed(6));
+
+    var restPalm = _palmBasis(rest);
+    poses.forEach(function (pose) {
+      // The wrist turns with the palm; each finger joint then swings its
+      // bone from where its parent carried it to where it is now.
+      var root = _mmul(_palmBasis(pose), _mT(restPalm));
+      var values = pose[KP.wrist].concat(_eulerZXY(root));
+      chains.forEach(function (chain) {
+        var parent = root;
+        for (var j = 1; j < chain.length - 1; j++) {
+          var carried = _mapply(parent, _vsub(rest[chain[j + 1]], rest[chain[j]]));
+          var global = _mmul(_rotBetween(carried, _vsub(pose[chain[j + 1]], pose[chain[j]])), parent);
+          values = values.concat(_eulerZXY(_mmul(_mT(parent), global)));
+          parent = global;
+        }
+      });
+      lines.push(values.map(function (n) { return n.toFixed(4); }).join(" "));
+    });
+    return lines.join("\n");
+  };
+
+  // The recording a save function should write: the one passed, or the one
+  // in progress (stopped first).
+  Tracker.prototype._recordingToSave = function (recording, fnName) {
+    if (!recording && this._recording) recording = this.stopRecordingHands();
+    if (!recording) console.warn("p5.Hands: " + fnName + "() — nothing to save. Call recordHands() first.");
+    return recording;
+  };
+
+  /**
+   * Stop recording (if needed) and download the recording as CSV.
+   *   saveHandsCSV("session.csv")
+   */
+  Tracker.prototype.saveHandsCSV = function (recording, filename) {
+    if (typeof recording === "string" || recording === undefined) { filename = recording; recording = null; }
+    var csv = this.exportHandsCSV(this._recordingToSave(recording, "saveHandsCSV"));
+    if (csv !== null) this.p.saveStrings(csv.split("\n"), filename || "hands-recording.csv");
+  };
+
+  /**
+   * Stop recording (if needed) and download the recording as a BVH
+   * animation, with exportHandsBVH()'s default options.
+   *   saveHandsBVH("session.bvh")
+   */
+  Tracker.prototype.saveHandsBVH = function (recording, filename) {
+    if (typeof recording === "string" || recording === undefined) { filename = recording; recording = null; }
+    var rec = this._recordingToSave(recording, "saveHandsBVH");
+    var bvh = rec ? this.exportHandsBVH(rec) : null;
+    if (bvh !== null) this.p.saveStrings(bvh.split("\n"), filename || "hands-recording.bvh");
+  };
+
+  // ============================================================
+  //  SIMULATED HANDS — develop without a camera
+  // ============================================================
+
+  // Default keys for simulateHands(): toggles for fingers and side, held keys
+  // for pinch and fist.
+  var SIMULATION_KEYS = {
+    thumb: "1", index: "2", middle: "3", ring: "4", pinky: "5",
+    pinch: "p", fist: "f", swap: "h"
+  };
+
+  // Simulated hand layout in video pixels at size 1, palm facing the camera,
+  // thumb on the left ("Right" hand in mirrored video). y points down.
+  var SIM_FINGERS = {
+    index: { mcp: [-27, -88], lengths: [32, 22, 18], fan: -0.14 },
+    middle: { mcp: [-9, -92], lengths: [35, 24, 19], fan: 0 },
+    ring: { mcp: [9, -88], lengths: [32, 22, 18], fan: 0.1 },
+    pinky: { mcp: [25, -80], lengths: [25, 17, 15], fan: 0.21 }
+  };
+  var SIM_THUMB = {
+    up: [[-25, -15, 0], [-45, -35, 0], [-62, -50, 0], [-80, -62, 0]],
+    down: [[-25, -15, 0], [-42, -32, 0], [-38, -52, -10], [-22, -68, -18]]
+  };
+  var SIM_CURL = { up: [0, 0, 0], down: [1.4, 1.4, 1.4], pinch: [0.45, 0.6, 0.6] };
+
+  // MCP, PIP, DIP, tip of one finger: straight up (fanned a little), each
+  // joint bending toward the camera by the given angles.
+  function _simFinger(f, bends) {
+    var pts = [[f.mcp[0], f.mcp[1], 0]];
+    var phi = 0;
+    for (var i = 0; i < 3; i++) {
+      phi += bends[i];
+      var last = pts[pts.length - 1], len = f.lengths[i];
+      pts.push([
+        last[0] + len * Math.sin(f.fan) * Math.cos(phi),
+        last[1] - len * Math.cos(f.fan) * Math.cos(phi),
+        last[2] - len * Math.sin(phi)
+      ]);
+    }
+    return pts;
+  }
+
+  // A full ml5-style hand for the current simulation state, with the palm
+  // center at (x, y) in video coordinates.
+  function _simHand(sim, x, y) {
+    var pts = [[0, 0, 0]];
+    var fist = sim.fist, pinch = sim.pinch && !fist;
+    var fingers = {};
+    ["index", "middle", "ring", "pinky"].forEach(function (name) {
+      var pose = fist || !sim.fingers[name] ? "down" : "up";
+      if (name === "index" && pinch) pose = "pinch";
+      fingers[name] = _simFinger(SIM_FINGERS[name], SIM_CURL[pose]);
+    });
+    var thumb;
+    if (pinch) {
+      // Thumb tip meets the index tip
+      var target = fingers.index[3];
+      var tip = [target[0] - 4, target[1] + 4, target[2]];
+      var mcp = SIM_THUMB.down[1];
+      thumb = [SIM_THUMB.down[0], mcp, [(mcp[0] + tip[0]) / 2 - 12, (mcp[1] + tip[1]) / 2, tip[2] / 2], tip];
+    } else {
+      thumb = !fist && sim.fingers.thumb ? SIM_THUMB.up : SIM_THUMB.down;
+    }
+    pts = pts.concat(thumb, fingers.index, fingers.middle, fingers.ring, fingers.pinky);
+
+    var mirror = sim.side === "Left" ? -1 : 1;
+    var cx = 0, cy = 0;
+    [KP.wrist, KP.index_finger_mcp, KP.middle_finger_mcp, KP.ring_finger_mcp, KP.pinky_finger_mcp].forEach(function (i) {
+      cx += pts[i][0] / 5; cy += pts[i][1] / 5;
+    });
+    var names = Object.keys(KP);
+    return {
+      handedness: sim.side,
+      confidence: 1,
+      keypoints: pts.map(function (pt, i) {
+        return { x: x + (pt[0] - cx) * mirror * sim.size, y: y + (pt[1] - cy) * sim.size, name: names[i] };
+      }),
+      // meters, centered on the palm (a palm is about 9 cm)
+      keypoints3D: pts.map(function (pt, i) {
+        return { x: (pt[0] - cx) * mirror / 1000, y: (pt[1] - cy) / 1000, z: pt[2] / 1000, name: names[i] };
+      })
+    };
+  }
+
+  // Read the keyboard and mouse, and feed one simulated frame through the
+  // normal pipeline.
+  Tracker.prototype._simulationTick = function () {
+    var sim = this._simulation, p = this.p;
+    if (!sim) return;
+    var self = this;
+    var keys = sim.keys;
+    function down(name) { return !!keys[name] && p.keyIsDown(keys[name].toUpperCase().charCodeAt(0)); }
+    function pressed(name) {
+      var d = down(name), was = sim.keysDown[name];
+      sim.keysDown[name] = d;
+      return d && !was;
+    }
+    FINGER_NAMES.forEach(function (name) {
+      if (pressed(name)) sim.fingers[name] = !sim.fingers[name];
+    });
+    if (pressed("swap")) sim.side = sim.side === "Right" ? "Left" : "Right";
+    sim.pinch = down("pinch");
+    sim.fist = down("fist");
+
+    // Only show the hand while the mouse is over the canvas
+    var onCanvas = p.mouseX >= 0 && p.mouseY >= 0 && p.mouseX <= p.width && p.mouseY <= p.height &&
+      (p.mouseX !== 0 || p.mouseY !== 0);
+    var hands = [];
+    if (onCanvas) {
+      var at = this.unmapHandPoint({ x: p.mouseX, y: p.mouseY });
+      hands.push(_simHand(sim, at.x, at.y));
+    }
+    this._handleResults(hands);
+    sim.timer = setTimeout(function () { self._simulationTick(); }, 1000 / sim.fps);
+  };
+
+  Tracker.prototype._stopSimulation = function () {
+    if (!this._simulation) return;
+    clearTimeout(this._simulation.timer);
+    this._simulation = null;
+    this._running = false;
+  };
+
+  /**
+   * Fake a hand with the mouse and keyboard — no camera or model needed.
+   * The hand follows the mouse and goes through the normal pipeline, so every
+   * helper works on it. stopHands() ends the simulation.
+   *
+   *   function setup() { createCanvas(640, 480); simulateHands(); }
+   *
+   * Keys: 1–5 toggle thumb…pinky, hold P to pinch, hold F for a fist,
+   * H swaps between right and left hand.
+   *
+   * Options:
+   *   fingers — which fingers start up (default all: { thumb: true, ... })
+   *   side    — "Right" (default) or "Left"
+   *   size    — hand size multiplier (default 1: palm about 90 video pixels)
+   *   fps     — simulated detections per second (default 30)
+   *   keys    — change key bindings, e.g. { pinch: "q", swap: "s" }
+   */
+  Tracker.prototype.simulateHands = function (options) {
+    options = options || {};
+    this._stopDetection();
+    this._stopReplay();
+    this._stopSimulation();
+    this._stopReceiving();
+
+    var fingers = {};
+    FINGER_NAMES.forEach(function (name) {
+      fingers[name] = options.fingers && options.fingers[name] !== undefined ? !!options.fingers[name] : true;
+    });
+    this._hands = [];
+    this._resetSmoothing();
+    this._resetTracking();
+    this._prevHands = [];
+    this._ready = true;
+    this._running = true;
+    this._simulation = {
+      fingers: fingers,
+      side: options.side === "Left" ? "Left" : "Right",
+      size: options.size > 0 ? options.size : 1,
+      fps: options.fps > 0 ? options.fps : 30,
+      keys: Object.assign({}, SIMULATION_KEYS, options.keys),
+      keysDown: {},
+      pinch: false,
+      fist: false,
+      timer: null
+    };
+    this._simulationTick();
+  };
+
+  /** Is the mouse/keyboard simulation running? */
+  Tracker.prototype.isSimulatingHands = function () { return this._simulation !== null; };
+
+  // ============================================================
+  //  STREAMING — send hands to other tools, or receive them
+  // ============================================================
+
+  var KP_NAMES = Object.keys(KP);
+
+  // OSC 1.0 encoding, for bridges that forward OSC over a WebSocket.
+  function _oscString(s) {
+    // UTF-8, so gesture and pose names in any language survive
+    var utf8 = unescape(encodeURIComponent(s)), bytes = [];
+    for (var i = 0; i < utf8.length; i++) bytes.push(utf8.charCodeAt(i));
+    do { bytes.push(0); } while (bytes.length % 4);
+    return bytes;
+  }
+
+  // One OSC message. types: "i" int, "f" float, "s" string per argument.
+  function _oscMessage(address, types, args) {
+    var bytes = _oscString(address).concat(_oscString("," + types));
+    var buf = new DataView(new ArrayBuffer(4));
+    for (var i = 0; i < args.length; i++) {
+      if (types[i] === "s") { bytes = bytes.concat(_oscString(String(args[i]))); continue; }
+      if (types[i] === "i") buf.setInt32(0, args[i]);
+      else buf.setFloat32(0, args[i]);
+      bytes.push(buf.getUint8(0), buf.getUint8(1), buf.getUint8(2), buf.getUint8(3));
+    }
+    return bytes;
+  }
+
+  // All of a frame's messages in one bundle, timetagged "immediately".
+  function _oscBundle(messages) {
+    var bytes = _oscString("#bundle").concat([0, 0, 0, 0, 0, 0, 0, 1]);
+    messages.forEach(function (m) {
+      var n = m.length;
+      bytes.push((n >>> 24) & 255, (n >>> 16) & 255, (n >>> 8) & 255, n & 255);
+      bytes = bytes.concat(m);
+    });
+    return new Uint8Array(bytes).buffer;
+  }
+
+  function _round(v, places) {
+    var k = Math.pow(10, places);
+    return Math.round(v * k) / k;
+  }
+
+  // What one hand looks like on the wire (the "json" format).
+  Tracker.prototype._streamHand = function (hand, normalize) {
+    var self = this;
+    var sx = normalize ? 1 / this._videoW : 1, sy = normalize ? 1 / this._videoH : 1;
+    // About a thousandth of a pixel either way
+    var places = normalize ? 6 : 3;
+    var gestures = Object.keys(this._gestures).concat(GESTURE_ORDER).filter(function (name) {
+      return self.isGesture(name, hand);
+    });
+    var out = {
+      id: hand.id,
+      handedness: hand.handedness,
+      confidence: hand.confidence,
+      keypoints: hand.keypoints.map(function (kp) { return [_round(kp.x * sx, places), _round(kp.y * sy, places)]; }),
+      fingersUp: this.fingersUp(hand),
+      gestures: gestures
+    };
+    if (hand.keypoints3D) {
+      out.keypoints3D = hand.keypoints3D.map(function (kp) { return [_round(kp.x, 5), _round(kp.y, 5), _round(kp.z || 0, 5)]; });
+    }
+    return out;
+  };
+
+  // One frame in the "osc" format: the hand count, then per hand its id,
+  // handedness, confidence, every keypoint, the fingers that are up and the
+  // active gestures.
+  Tracker.prototype._streamOsc = function (frame, s) {
+    var messages = [_oscMessage(s.countAddress, "i", [frame.hands.length])];
+    var used = {};
+    frame.hands.forEach(function (hand, index) {
+      var handedness = hand.handedness ? String(hand.handedness).toLowerCase() : "";
+      // Landmarks without handedness (some feedHands() sources) go by position
+      var prefix = s.address
+        .replace("{hand}", handedness || "hand" + index)
+        .replace("{id}", hand.id)
+        .replace("{index}", index);
+      // Two right hands under "/hands/{hand}" would share every address
+      if (used[prefix]) prefix += "/" + index;
+      used[prefix] = true;
+      messages.push(_oscMessage(prefix + "/id", "i", [hand.id]));
+      messages.push(_oscMessage(prefix + "/handedness", "s", [handedness]));
+      messages.push(_oscMessage(prefix + "/confidence", "f", [hand.confidence || 0]));
+      hand.keypoints.forEach(function (xy, i) {
+        messages.push(_oscMessage(prefix + "/" + KP_NAMES[i], "ff", xy));
+      });
+      messages.push(_oscMessage(prefix + "/fingers", "iiiii", FINGER_NAMES.map(function (f) { return hand.fingersUp[f] ? 1 : 0; })));
+      messages.push(_oscMessage(prefix + "/gestures", hand.gestures.map(function () { return "s"; }).join(""), hand.gestures));
+    });
+    return _oscBundle(messages);
+  };
+
+  /**
+   * Send every detection frame to a WebSocket — for TouchDesigner, Max,
+   * Unity, or a sketch on another machine (see receiveHands()).
+   *   streamHands({ url: "ws://localhost:8080" });
+   *   streamHands({ url: "ws://localhost:8080", format: "osc", rate: 20 });
+   *
+   * Options:
+   *   url          — WebSocket address (default "ws://localhost:8080")
+   *   format       — "json" text messages (default) or "osc" binary bundles
+   *   rate         — most frames per second to send (default 30, 0 = every frame)
+   *   normalize    — keypoints from 0 to 1 instead of video pixels (default false)
+   *   address      — OSC address of each hand; {hand} is "left"/"right" (or
+   *                  "hand0", "hand1"... without handedness), {id} the hand id,
+   *                  {index} its position (default "/hands/{index}"). Hands
+   *                  that would share an address get "/<index>" added
+   *   countAddress — OSC address of the hand count (default "/hands/count")
+   */
+  Tracker.prototype.streamHands = function (options) {
+    options = options || {};
+    this.stopStreamingHands();
+    if (typeof WebSocket === "undefined") {
+      console.warn("p5.Hands: streamHands() needs WebSocket support.");
+      return;
+    }
+    this._stream = {
+      url: options.url || "ws://localhost:8080",
+      format: options.format === "osc" ? "osc" : "json",
+      rate: options.rate !== undefined ? options.rate : 30,
+      normalize: !!options.normalize,
+      address: options.address || "/hands/{index}",
+      countAddress: options.countAddress || "/hands/count",
+      socket: null,
+      retry: null,
+      lastSent: 0
+    };
+    this._connectStream(this._stream);
+  };
+
+  // Open the socket; reconnect every 2 s while the stream is on, so the
+  // sketch can start before the bridge does.
+  Tracker.prototype._connectStream = function (s) {
+    var self = this;
+    var socket = new WebSocket(s.url);
+    if (s.format === "osc") socket.binaryType = "arraybuffer";
+    socket.onclose = function () {
+      if (self._stream !== s) return;
+      s.retry = setTimeout(function () { self._connectStream(s); }, 2000);
+    };
+    s.socket = socket;
+  };
+
+  /** Stop sending hands. */
+  Tracker.prototype.stopStreamingHands = function () {
+    var s = this._stream;
+    if (!s) return;
+    this._stream = null;
+    clearTimeout(s.retry);
+    if (s.socket) s.socket.close();
+  };
+
+  /** Is streamHands() on? */
+  Tracker.prototype.isStreamingHands = function () { return this._stream !== null; };
+
+  // Send this frame, unless the rate limit or a closed socket says skip it.
+  Tracker.prototype._updateStream = function () {
+    var s = this._stream, now = _now();
+    if (!s || !s.socket || s.socket.readyState !== 1) return;
+    if (s.rate > 0 && now - s.lastSent < 1000 / s.rate) return;
+    s.lastSent = now;
+    var self = this;
+    var frame = {
+      type: "hands",
+      t: Math.round(now),
+      width: this._videoW,
+      height: this._videoH,
+      flipped: this._flipped,
+      normalized: s.normalize,
+      hands: this._source().map(function (hand) { return self._streamHand(hand, s.normalize); })
+    };
+    s.socket.send(s.format === "osc" ? this._streamOsc(frame, s) : JSON.stringify(frame));
+  };
+
+  /**
+   * Use hands streamed by another sketch's streamHands() (json format)
+   * instead of the camera. Every helper works on them as if they were
+   * local. stopHands() disconnects.
+   *   receiveHands("ws://localhost:8080");
+   */
+  Tracker.prototype.receiveHands = function (url) {
+    if (typeof WebSocket === "undefined") {
+      console.warn("p5.Hands: receiveHands() needs WebSocket support.");
+      return;
+    }
+    this._stopDetection();
+    this._stopReplay();
+    this._stopSimulation();
+    this._stopReceiving();
+
+    this._hands = [];
+    this._resetSmoothing();
+    this._resetTracking();
+    this._prevHands = [];
+    this._ready = true;
+    this._running = true;
+    var self = this;
+    var r = this._receive = { url: url || "ws://localhost:8080", socket: null, retry: null };
+    (function connect() {
+      var socket = r.socket = new WebSocket(r.url);
+      socket.onmessage = function (e) {
+        if (self._receive === r) self._receiveFrame(e.data);
+      };
+      socket.onclose = function () {
+        if (self._receive === r) r.retry = setTimeout(connect, 2000);
+      };
+    })();
+  };
+
+  // One streamed frame → ml5-style hands → the normal pipeline.
+  Tracker.prototype._receiveFrame = function (data) {
+    var frame;
+    try { frame = typeof data === "string" ? JSON.parse(data) : null; } catch (e) { frame = null; }
+    // Other traffic on a shared bridge isn't ours — ignore it
+    if (!frame || frame.type !== "hands" || !Array.isArray(frame.hands)) return;
+    if (frame.width) this._videoW = frame.width;
+    if (frame.height) this._videoH = frame.height;
+    if (frame.flipped !== undefined) this._flipped = !!frame.flipped;
+    var sx = frame.normalized ? this._videoW : 1, sy = frame.normalized ? this._videoH : 1;
+    // Each point is [x, y] (or [x, y, z] in 3D)
+    function points(list, size) {
+      return Array.isArray(list) && list.length >= KP_NAMES.length && list.every(function (p) {
+        return Array.isArray(p) && p.length >= size;
+      });
+    }
+    this._handleResults(frame.hands.filter(function (h) {
+      return h && points(h.keypoints, 2);
+    }).map(function (h) {
+      var hand = {
+        handedness: h.handedness || null,
+        confidence: h.confidence,
+        keypoints: h.keypoints.map(function (xy, i) { return { x: xy[0] * sx, y: xy[1] * sy, name: KP_NAMES[i] }; })
+      };
+      if (points(h.keypoints3D, 3)) {
+        hand.keypoints3D = h.keypoints3D.map(function (p, i) { return { x: p[0], y: p[1], z: p[2], name: KP_NAMES[i] }; });
+      }
+      return hand;
+    }), frame.t);
+  };
+
+  Tracker.prototype._stopReceiving = function () {
+    var r = this._receive;
+    if (!r) return;
+    this._receive = null;
+    this._running = false;
+    clearTimeout(r.retry);
+    if (r.socket) r.socket.close();
+  };
+
+  /** Are hands coming from receiveHands()? */
+  Tracker.prototype.isReceivingHands = function () { return this._receive !== null; };
+
+  // ============================================================
+  //  MIDI — play synths and DAWs with your hands
+  // ============================================================
+
+  /**
+   * Send MIDI from your hands. Then say what to send with mapMidi().
+   *   startMidi();                               // first Web MIDI output
+   *   startMidi({ output: "IAC" });               // output whose name contains "IAC"
+   *   startMidi({ output: function (bytes) { console.log(bytes); } });
+   *
+   * Options:
+   *   output  — Web MIDI output name, a MIDIOutput, or function (bytes)
+   *             (default: the first Web MIDI output)
+   *   channel — channel for mappings that don't set one, 1–16 (default 1)
+   *   rate    — most CC messages per second, per mapping (default 30)
+   *   onReady(name) — called once messages can be sent
+   */
+  Tracker.prototype.startMidi = function (options) {
+    options = options || {};
+    this.stopMidi();
+    var midi = this._midi = {
+      output: null,
+      channel: options.channel || 1,
+      rate: options.rate > 0 ? options.rate : 30
+    };
+    function ready(output, name) {
+      midi.output = output;
+      if (options.onReady) options.onReady(name);
+    }
+    var out = options.output;
+    if (typeof out === "function") return ready({ send: out }, "callback");
+    if (out && typeof out.send === "function") return ready(out, out.name || "output");
+
+    if (typeof navigator === "undefined" || !navigator.requestMIDIAccess) {
+      console.warn("p5.Hands: this browser has no Web MIDI — pass startMidi({ output: function (bytes) { ... } }) instead.");
+      return;
+    }
+    var self = this;
+    navigator.requestMIDIAccess().then(function (access) {
+      if (self._midi !== midi) return;
+      var outputs = Array.from(access.outputs.values());
+      var found = typeof out === "string"
+        ? outputs.find(function (o) { return o.name.toLowerCase().indexOf(out.toLowerCase()) !== -1; })
+        : outputs[0];
+      if (!found) {
+        console.warn("p5.Hands: no MIDI output" + (typeof out === "string" ? " named \"" + out + "\"" : "") +
+          " — outputs: " + (outputs.map(function (o) { return o.name; }).join(", ") || "none"));
+        return;
+      }
+      ready(found, found.name);
+    }, function () {
+      console.warn("p5.Hands: MIDI access was denied.");
+    });
+  };
+
+  /** Stop sending MIDI. Notes that are still on get a note off. */
+  Tracker.prototype.stopMidi = function () {
+    var midi = this._midi;
+    if (!midi) return;
+    this._midiMappings.forEach(function (m) {
+      if (m.on && midi.output) midi.output.send([0x80 | m.on.channel, m.on.note, 0]);
+      m.on = null;
+      m.active = false;
+    });
+    this._midi = null;
+  };
+
+  /** Can MIDI be sent yet? */
+  Tracker.prototype.isMidiReady = function () { return !!(this._midi && this._midi.output); };
+
+  /**
+   * Map a hand feature to MIDI. Which message depends on the keys:
+   *   mapMidi({ cc: 1, value: "index.y" });                 // fingertip height → mod wheel
+   *   mapMidi({ note: 60, finger: "index", velocity: "pinch" });
+   *   mapMidi({ note: 64, gesture: "peace" });
+   *   mapMidi({ program: 5, gesture: "rockOn" });           // program change on gesture start
+   *
+   * value (and velocity) is "<point>.x" or "<point>.y" (canvas position,
+   * 0 at the left/bottom, 1 at the right/top), "pinch" (pinchAmount()),
+   * "fingers" (countFingers() / 5) or function (hand, tracker) → 0–1.
+   * Other keys: which (hand, default as getHand()), channel (1–16),
+   * range ([min, max] of value that maps to 0–127, default [0, 1]; the ends must differ),
+   * smoothing (0–1, like setHandsSmoothing(); default 0) and velocity for
+   * notes (1–127 or a value, default 100). Returns the mapping.
+   */
+  Tracker.prototype.mapMidi = function (mapping) {
+    if (!mapping || (mapping.cc === undefined && mapping.note === undefined && mapping.program === undefined)) {
+      console.warn("p5.Hands: mapMidi() needs a cc, note or program.");
+      return null;
+    }
+    if (mapping.cc !== undefined && mapping.value === undefined) {
+      console.warn("p5.Hands: mapMidi() — a cc mapping needs a value, e.g. \"index.y\".");
+      return null;
+    }
+    if (mapping.note !== undefined && !mapping.finger && !mapping.gesture) {
+      console.warn("p5.Hands: mapMidi() — a note mapping needs a finger or gesture.");
+      return null;
+    }
+    if (mapping.program !== undefined && !mapping.gesture) {
+      console.warn("p5.Hands: mapMidi() — a program mapping needs a gesture.");
+      return null;
+    }
+    var range = mapping.range;
+    if (range !== undefined && !(Array.isArray(range) && isFinite(range[0]) && isFinite(range[1]) && range[0] !== range[1])) {
+      console.warn("p5.Hands: mapMidi() — range must be [min, max], two different numbers.");
+      return null;
+    }
+    this._midiMappings.push({ spec: mapping, value: null, sent: -1, lastSent: 0, active: false, on: null });
+    return mapping;
+  };
+
+  /** Remove a mapping, or all of them with no argument. */
+  Tracker.prototype.removeMidiMapping = function (mapping) {
+    var midi = this._midi;
+    this._midiMappings = this._midiMappings.filter(function (m) {
+      if (mapping !== undefined && m.spec !== mapping) return true;
+      if (m.on && midi && midi.output) midi.output.send([0x80 | m.on.channel, m.on.note, 0]);
+      return false;
+    });
+  };
+
+  // A hand feature as 0–1 (see mapMidi()), or null.
+  Tracker.prototype._midiValue = function (spec, hand) {
+    if (typeof spec === "function") return spec(hand, this);
+    if (typeof spec === "number") return spec;
+    if (spec === "pinch") return this.pinchAmount(hand);
+    if (spec === "fingers") return this.countFingers(hand) / 5;
+    var parts = String(spec).split(".");
+    var pt = this.mapHandPoint(_getKeypoint(hand, parts[0]));
+    if (!pt) return null;
+    var w = this.p ? this.p.width : this._videoW, h = this.p ? this.p.height : this._videoH;
+    return parts[1] === "x" ? pt.x / w : 1 - pt.y / h;
+  };
+
+  // One detection frame of MIDI: CCs that changed (within the rate limit),
+  // note on/off as fingers and gestures come and go, program changes.
+  Tracker.prototype._updateMidi = function () {
+    var midi = this._midi;
+    if (!midi || !midi.output) return;
+    var self = this, now = _now(), out = midi.output;
+    this._midiMappings.forEach(function (m) {
+      var spec = m.spec, hand = self._resolveHand(spec.which);
+      var channel = Math.max(0, Math.min(15, (spec.channel || midi.channel) - 1));
+
+      if (spec.cc !== undefined) {
+        var v = hand ? self._midiValue(spec.value, hand) : null;
+        // Without a hand, the controller keeps its last value
+        if (v === null || !isFinite(v)) return;
+        var range = spec.range || [0, 1];
+        v = Math.max(0, Math.min(1, (v - range[0]) / (range[1] - range[0])));
+        m.value = m.value === null || !spec.smoothing ? v : _lerp(m.value, v, 1 - spec.smoothing);
+        var cc = Math.round(m.value * 127);
+        if (cc !== m.sent && now - m.lastSent >= 1000 / midi.rate) {
+          out.send([0xB0 | channel, spec.cc, cc]);
+          m.sent = cc;
+          m.lastSent = now;
+        }
+        return;
+      }
+
+      var active = !!hand && (spec.finger ? self.isFingerUp(hand, spec.finger) : self.isGesture(spec.gesture, hand));
+      if (spec.note !== undefined) {
+        if (active && !m.on) {
+          var vel = spec.velocity === undefined ? 100
+            : typeof spec.velocity === "number" ? spec.velocity
+            : Math.round((self._midiValue(spec.velocity, hand) || 0) * 127);
+          m.on = { channel: channel, note: spec.note };
+          out.send([0x90 | channel, spec.note, Math.max(1, Math.min(127, vel))]);
+        } else if (!active && m.on) {
+          out.send([0x80 | m.on.channel, m.on.note, 0]);
+          m.on = null;
+        }
+      } else if (active && !m.active) {
+        out.send([0xC0 | channel, spec.program]);
+      }
+      m.active = active;
+    });
+  };
+
+  // ============================================================
+  //  DATA ACCESS
+  // ============================================================
+
+  /** Get all detected hands (array). */
+  Tracker.prototype.getHands = function () {
+    return this._source();
+  };
+
+  /** Get a specific hand. Pass "left", "right", or "any". Default "right". */
+  Tracker.prototype.getHand = function (which) { return this._resolveHand(which); };
+
+  /**
+   * Get a hand by its id. Every hand has a persistent `id` that stays the
+   * same while it's tracked — even with several people's right hands in view.
+   *   let h = getHands()[0];
+   *   // ...later
+   *   getHandById(h.id)
+   */
+  Tracker.prototype.getHandById = function (id) {
+    return this._source().find(function (h) { return h.id === id; }) || null;
+  };
 
   /** Is a hand detected? */
-  p5.prototype.handDetected = function (which) { return _resolveHand(which) !== null; };
+  Tracker.prototype.handDetected = function (which) { return this._resolveHand(which) !== null; };
+
+  /** How many hands are currently detected. */
+  Tracker.prototype.handCount = function () {
+    return this._source().length;
+  };
+
+  /** Is the model loaded and running? */
+  Tracker.prototype.handsReady = function () { return this._ready && this._running; };
+
+  /** Get the webcam video element. */
+  Tracker.prototype.getHandsVideo = function () { return this._video; };
+
+  // ============================================================
+  //  POINT ACCESS
+  // ============================================================
+
+  /**
+   * Get any keypoint by name.
+   *   getPoint("right", "thumb_tip")
+   *   getPoint("thumb")            // defaults to right hand, returns thumb tip
+   *   getPoint("left", "wrist")
+   */
+  Tracker.prototype.getPoint = function (which, name) {
+    if (name === undefined && typeof which === "string" && !/^(left|right|l|r|any|first)$/i.test(which)) {
+      name = which; which = undefined;
+    }
+    return this._output(_getKeypoint(this._resolveHand(which), name));
+  };
+
+  /**
+   * Get a fingertip position.
+   *   fingerTip("right", "index")
+   *   fingerTip("index")   // defaults to right hand
+   */
+  Tracker.prototype.fingerTip = function (which, finger) {
+    if (finger === undefined && FINGER_NAMES.indexOf(which) !== -1) {
+      finger = which; which = undefined;
+    }
+    var hand = this._resolveHand(which);
+    var name = TIP_NAMES[finger];
+    return name ? this._output(_getKeypoint(hand, name)) : null;
+  };
+
+  /** Get the wrist position. */
+  Tracker.prototype.wristPoint = function (which) {
+    return this._output(_getKeypoint(this._resolveHand(which), "wrist"));
+  };
+
+  /** Center of the palm (average of wrist + finger MCPs). */
+  Tracker.prototype.palmCenter = function (which) {
+    var hand = this._resolveHand(which);
+    if (!hand || !hand.keypoints) return null;
+    var indices = [KP.wrist, KP.index_finger_mcp, KP.middle_finger_mcp, KP.ring_finger_mcp, KP.pinky_finger_mcp];
+    var sx = 0, sy = 0, n = 0;
+    for (var i = 0; i < indices.length; i++) {
+      var kp = hand.keypoints[indices[i]];
+      if (kp) { sx += kp.x; sy += kp.y; n++; }
+    }
+    return n ? this._output({ x: sx / n, y: sy / n }) : null;
+  };
+
+  /** Center of all keypoints (hand centroid). */
+  Tracker.prototype.handCenter = function (which) {
+    return this._output(_handCentroid(this._resolveHand(which)));
+  };
+
+  /**
+   * Get all keypoints for a specific finger (array of {x, y, name}).
+   *   getFingerPoints("right", "index")
+   *   getFingerPoints("index")
+   */
+  Tracker.prototype.getFingerPoints = function (which, finger) {
+    if (finger === undefined && FINGER_NAMES.indexOf(which) !== -1) {
+      finger = which; which = undefined;
+    }
+    var hand = this._resolveHand(which);
+    if (!hand || !hand.keypoints) return [];
+    var conn = FINGER_CONNECTIONS[finger];
+    if (!conn) return [];
+    return conn.slice(1).map(function (idx) { return hand.keypoints[idx]; }).filter(Boolean).map(this._output, this);
+  };
+
+  // Bend at each joint along a finger (keypoints from FINGER_CONNECTIONS,
+  // wrist first), in radians: 0 = straight.
+  function _fingerBends(pts, finger) {
+    var conn = FINGER_CONNECTIONS[finger];
+    var bends = [];
+    for (var i = 1; i < conn.length - 1; i++) {
+      var a = pts[conn[i - 1]], b = pts[conn[i]], c = pts[conn[i + 1]];
+      if (!a || !b || !c) return null;
+      var angle = _angleBetween(_sub3(b, a), _sub3(c, b));
+      bends.push(angle === null ? 0 : angle);
+    }
+    return bends;
+  }
+
+  // Joint names for the bends above (the thumb's first joint is its CMC)
+  var JOINT_NAMES = {
+    thumb: ["cmc", "mcp", "ip"], index: ["mcp", "pip", "dip"],
+    middle: ["mcp", "pip", "dip"], ring: ["mcp", "pip", "dip"], pinky: ["mcp", "pip", "dip"]
+  };
+
+  // Total bend (radians) of a fully curled finger. The thumb's CMC barely
+  // bends, so only its MCP + IP joints count toward its curl.
+  var FULL_CURL = { thumb: 1.8, index: 4.2, middle: 4.2, ring: 4.2, pinky: 4.2 };
+
+  // The points to measure angles on: 3D when available, so angles don't
+  // shrink when the finger points toward the camera.
+  function _anglePoints(hand) {
+    return hand.keypoints3D && hand.keypoints3D.length ? hand.keypoints3D : hand.keypoints;
+  }
+
+  // ============================================================
+  //  FINGER STATE DETECTION
+  // ============================================================
+
+  /**
+   * Is a finger extended (up)?
+   * Uses distance-from-wrist comparison — works regardless of hand rotation.
+   *   isFingerUp("right", "index")
+   *   isFingerUp("index")
+   */
+  Tracker.prototype.isFingerUp = function (which, finger) {
+    if (finger === undefined && FINGER_NAMES.indexOf(which) !== -1) {
+      finger = which; which = undefined;
+    }
+    var hand = this._resolveHand(which);
+    if (!hand || !hand.keypoints) return false;
+    var tip = _getKeypoint(hand, TIP_NAMES[finger]);
+    var pip = _getKeypoint(hand, PIP_NAMES[finger]);
+    if (!tip || !pip) return false;
+    // Thumb folds across the palm (toward index base), not toward the wrist,
+    // so use the index finger MCP as the reference point instead of the wrist.
+    if (finger === "thumb") {
+      var ref = hand.keypoints[KP.index_finger_mcp];
+      if (!ref) return false;
+      return _dist(tip, ref) > _dist(pip, ref);
+    }
+    var wrist = hand.keypoints[KP.wrist];
+    if (!wrist) return false;
+    return _dist(tip, wrist) > _dist(pip, wrist);
+  };
+
+  /**
+   * Which fingers are up?
+   * Returns { thumb: bool, index: bool, middle: bool, ring: bool, pinky: bool }
+   */
+  Tracker.prototype.fingersUp = function (which) {
+    var result = {};
+    for (var i = 0; i < FINGER_NAMES.length; i++) {
+      result[FINGER_NAMES[i]] = this.isFingerUp(which, FINGER_NAMES[i]);
+    }
+    return result;
+  };
+
+  /** Count how many fingers are extended (0–5). */
+  Tracker.prototype.countFingers = function (which) {
+    var n = 0;
+    for (var i = 0; i < FINGER_NAMES.length; i++) {
+      if (this.isFingerUp(which, FINGER_NAMES[i])) n++;
+    }
+    return n;
+  };
+
+  /**
+   * How curled is a finger? 0 = straight, 1 = fully curled.
+   * A smooth value — great for driving sounds, animations or rigged characters.
+   *   fingerCurl("index")
+   *   fingerCurl("left", "thumb")
+   */
+  Tracker.prototype.fingerCurl = function (which, finger) {
+    if (finger === undefined && FINGER_NAMES.indexOf(which) !== -1) {
+      finger = which; which = undefined;
+    }
+    var hand = this._resolveHand(which);
+    if (!hand || !hand.keypoints || !FINGER_CONNECTIONS[finger]) return null;
+    var bends = _fingerBends(_anglePoints(hand), finger);
+    if (!bends) return null;
+    var total = finger === "thumb" ? bends[1] + bends[2] : bends[0] + bends[1] + bends[2];
+    return Math.max(0, Math.min(1, total / FULL_CURL[finger]));
+  };
+
+  /**
+   * Curl of every finger: { thumb, index, middle, ring, pinky }, each 0–1.
+   */
+  Tracker.prototype.fingerCurls = function (which) {
+    var hand = this._resolveHand(which);
+    if (!hand) return null;
+    var result = {};
+    for (var i = 0; i < FINGER_NAMES.length; i++) {
+      result[FINGER_NAMES[i]] = this.fingerCurl(hand, FINGER_NAMES[i]);
+    }
+    return result;
+  };
+
+  /**
+   * Bend angle of every joint, and the spread between neighboring fingers,
+   * in radians (0 = straight / together).
+   *   let a = jointAngles();
+   *   a.index.pip          // index middle joint
+   *   a.thumb.ip           // thumb has cmc, mcp, ip
+   *   a.spread.indexMiddle // gap between index and middle finger
+   */
+  Tracker.prototype.jointAngles = function (which) {
+    var hand = this._resolveHand(which);
+    if (!hand || !hand.keypoints) return null;
+    var pts = _anglePoints(hand);
+    var result = {};
+    for (var i = 0; i < FINGER_NAMES.length; i++) {
+      var finger = FINGER_NAMES[i];
+      var bends = _fingerBends(pts, finger);
+      if (!bends) return null;
+      result[finger] = {};
+      for (var j = 0; j < bends.length; j++) result[finger][JOINT_NAMES[finger][j]] = bends[j];
+    }
+    // Spread: angle between the first bones (knuckle → next joint) of neighboring fingers
+    function bone(finger) {
+      var conn = FINGER_CONNECTIONS[finger];
+      return _sub3(pts[conn[2]], pts[conn[1]]);
+    }
+    result.spread = {};
+    for (var k = 0; k < FINGER_NAMES.length - 1; k++) {
+      var a = FINGER_NAMES[k], b = FINGER_NAMES[k + 1];
+      result.spread[a + b.charAt(0).toUpperCase() + b.slice(1)] = _angleBetween(bone(a), bone(b)) || 0;
+    }
+    return result;
+  };
+
+  // ============================================================
+  //  3D & ORIENTATION
+  // ============================================================
+  // ml5 HandPose also gives keypoints3D: real-world positions in meters,
+  // centered on the hand. x points right, y down and z away from the camera
+  // (negative z = closer to the camera). They aren't smoothed.
+
+  /**
+   * Get a keypoint in 3D ({ x, y, z } in meters, relative to the hand).
+   *   getPoint3D("index")
+   *   getPoint3D("left", "wrist")
+   */
+  Tracker.prototype.getPoint3D = function (which, name) {
+    if (name === undefined && typeof which === "string" && !/^(left|right|l|r|any|first)$/i.test(which)) {
+      name = which; which = undefined;
+    }
+    return _getKeypoint3D(this._resolveHand(which), name);
+  };
+
+  /**
+   * Unit vector pointing out of the palm, { x, y, z }. z is negative when the
+   * palm faces the camera and positive when you see the back of the hand.
+   */
+  Tracker.prototype.palmNormal = function (which) {
+    var hand = this._resolveHand(which);
+    var w = _getKeypoint3D(hand, "wrist");
+    var i = _getKeypoint3D(hand, "index_finger_mcp");
+    var p = _getKeypoint3D(hand, "pinky_finger_mcp");
+    if (!w || !i || !p) return null;
+    var toIndex = _sub3(i, w), toPinky = _sub3(p, w);
+    // Handedness labels assume a mirrored image, so "Right" hands have the
+    // thumb on the left when the palm faces the camera — and vice versa.
+    var n = hand.handedness === "Left" ? _cross(toIndex, toPinky) : _cross(toPinky, toIndex);
+    return _normalize3(n);
+  };
+
+  /**
+   * Which way the hand is turned, in radians: { pitch, yaw, roll }.
+   * All zero for an upright palm facing the camera.
+   *   roll  — tilt in the picture (positive = fingers lean right)
+   *   pitch — fingers tipping toward the camera (positive) or away (negative)
+   *   yaw   — palm turning sideways (±PI = back of the hand)
+   */
+  Tracker.prototype.handRotation3D = function (which) {
+    var hand = this._resolveHand(which);
+    var n = this.palmNormal(hand);
+    var w = _getKeypoint3D(hand, "wrist"), m = _getKeypoint3D(hand, "middle_finger_mcp");
+    if (!n || !w || !m) return null;
+    var up = _normalize3(_sub3(m, w));
+    if (!up) return null;
+    return {
+      pitch: Math.asin(Math.max(-1, Math.min(1, -up.z))),
+      yaw: Math.atan2(n.x, -n.z),
+      roll: Math.atan2(up.x, -up.y)
+    };
+  };
+
+  /**
+   * Is the palm facing the camera (true) or the back of the hand (false)?
+   * threshold: how squarely it must face, 0–1 (default 0.3).
+   */
+  Tracker.prototype.isPalmFacing = function (which, threshold) {
+    if (typeof which === "number") { threshold = which; which = undefined; }
+    var n = this.palmNormal(which);
+    if (!n) return false;
+    return -n.z > (threshold !== undefined ? threshold : 0.3);
+  };
+
+  /**
+   * Like isFingerUp(), but measured in 3D, so it keeps working when the hand
+   * tips toward or away from the camera. Falls back to 2D without 3D data.
+   *   isFingerUp3D("index")
+   */
+  Tracker.prototype.isFingerUp3D = function (which, finger) {
+    if (finger === undefined && FINGER_NAMES.indexOf(which) !== -1) {
+      finger = which; which = undefined;
+    }
+    var hand = this._resolveHand(which);
+    if (!hand || !hand.keypoints3D) return this.isFingerUp(hand || which, finger);
+    var tip = _getKeypoint3D(hand, TIP_NAMES[finger]);
+    var pip = _getKeypoint3D(hand, PIP_NAMES[finger]);
+    var ref = _getKeypoint3D(hand, finger === "thumb" ? "index_finger_mcp" : "wrist");
+    if (!tip || !pip || !ref) return false;
+    return _dist3(tip, ref) > _dist3(pip, ref);
+  };
+
+  /** fingersUp(), measured in 3D. */
+  Tracker.prototype.fingersUp3D = function (which) {
+    var result = {};
+    for (var i = 0; i < FINGER_NAMES.length; i++) {
+      result[FINGER_NAMES[i]] = this.isFingerUp3D(which, FINGER_NAMES[i]);
+    }
+    return result;
+  };
+
+  // ============================================================
+  //  GESTURE DETECTION
+  // ============================================================
+
+  /**
+   * Is the hand pinching? (thumb + index close together)
+   * Default threshold: 40 pixels, or your personal one after calibrateHands().
+   */
+  Tracker.prototype.isPinching = function (which, threshold) {
+    if (typeof which === "number") { threshold = which; which = undefined; }
+    var hand = this._resolveHand(which);
+    threshold = threshold || this._thresholds(hand).pinch;
+    return _pinchDist(hand) < threshold;
+  };
+
+  /**
+   * Pinch amount: 0 = open, 1 = fully pinched.
+   * Default range: 15–100 pixels, or your personal one after calibrateHands().
+   */
+  Tracker.prototype.pinchAmount = function (which, min, max) {
+    if (typeof which === "number") { max = min; min = which; which = undefined; }
+    var hand = this._resolveHand(which);
+    var t = this._thresholds(hand);
+    min = min || t.pinchMin; max = max || t.pinchMax;
+    var d = _pinchDist(hand);
+    if (d === Infinity) return 0;
+    return Math.max(0, Math.min(1, (max - d) / (max - min)));
+  };
+
+  /** Midpoint between thumb tip and index tip — great for dragging things. */
+  Tracker.prototype.pinchPoint = function (which) {
+    return this._output(_pinchMid(this._resolveHand(which)));
+  };
+
+  /**
+   * Is the hand making a fist?
+   * Default threshold: 90 pixels, or your personal one after calibrateHands().
+   */
+  Tracker.prototype.isGrabbing = function (which, threshold) {
+    if (typeof which === "number") { threshold = which; which = undefined; }
+    var hand = this._resolveHand(which);
+    threshold = threshold || this._thresholds(hand).grab;
+    return _grabDist(hand) < threshold;
+  };
+
+  /** All fingers extended? */
+  Tracker.prototype.isOpenHand = function (which) { return this.countFingers(which) >= 5; };
+
+  /** Only index finger up? */
+  Tracker.prototype.isPointing = function (which) {
+    return this.isGesture("point", which);
+  };
+
+  /** Index + middle up, rest down? */
+  Tracker.prototype.isPeace = function (which) {
+    return this.isGesture("peace", which);
+  };
+
+  /** Only thumb up? */
+  Tracker.prototype.isThumbsUp = function (which) {
+    return this.isGesture("thumbsUp", which);
+  };
+
+  /** Index + pinky up, middle + ring down? */
+  Tracker.prototype.isRockOn = function (which) {
+    return this.isGesture("rockOn", which);
+  };
+
+  /** Thumb + pinky up, rest down (hang loose / shaka). */
+  Tracker.prototype.isShaka = function (which) {
+    return this.isGesture("shaka", which);
+  };
+
+  /** Middle + ring + pinky down, thumb + index up (L shape / gun). */
+  Tracker.prototype.isGun = function (which) {
+    return this.isGesture("gun", which);
+  };
+
+  /** Index + middle + ring up, thumb + pinky down (three / OK scout). */
+  Tracker.prototype.isThree = function (which) {
+    return this.isGesture("three", which);
+  };
+
+  /** Show a specific number of fingers? Ignores thumb for 1-4, includes for 5. */
+  Tracker.prototype.isShowingNumber = function (which, num) {
+    if (typeof which === "number") { num = which; which = undefined; }
+    var f = this.fingersUp(which);
+    var fingers = [f.index, f.middle, f.ring, f.pinky];
+    var count = fingers.filter(Boolean).length;
+    if (num === 5) return count === 4 && f.thumb;
+    if (num === 0) return count === 0 && !f.thumb;
+    if (num === 1) return f.index && !f.middle && !f.ring && !f.pinky && !f.thumb;
+    return count === num && !f.thumb;
+  };
+
+  /**
+   * Define your own gesture, then check it with isGesture(name) or see it in
+   * currentGesture(). Works with onGesture() too.
+   *
+   *   defineGesture("spock", {
+   *     fingers: { thumb: "up", index: "up", middle: "up", ring: "up", pinky: "up" },
+   *     distances: [
+   *       { from: "index", to: "middle", max: 0.15 },   // fingertips together...
+   *       { from: "middle", to: "ring", min: 0.25 }     // ...and a gap in the middle
+   *     ]
+   *   });
+   *
+   * Spec:
+   *   fingers   — { finger: "up" | "down" | "any" }; fingers left out are "any"
+   *   distances — [{ from, to, min?, max? }] between keypoints, as a fraction of handSize()
+   *   angles    — [{ from, to, min?, max? }] direction from → to, in degrees
+   *               (0 = right, 90 = down), or [{ at, from, to, min?, max? }] for
+   *               the bend angle at a joint (180 = straight)
+   * Keypoints use the same names as getPoint() ("index", "wrist", "thumb_ip", ...).
+   */
+  Tracker.prototype.defineGesture = function (name, spec) {
+    if (!name || typeof name !== "string" || !spec || typeof spec !== "object") {
+      console.warn("p5.Hands: defineGesture() needs a name and a spec object.");
+      return;
+    }
+    if (GESTURE_SPECS[name] || GESTURE_PREDICATES[name]) {
+      console.warn("p5.Hands: defineGesture() — \"" + name + "\" is a built-in gesture, pick another name.");
+      return;
+    }
+    var fingers = spec.fingers || {};
+    for (var f in fingers) {
+      if (FINGER_NAMES.indexOf(f) === -1 || ["up", "down", "any", true, false].indexOf(fingers[f]) === -1) {
+        console.warn("p5.Hands: defineGesture() — invalid finger rule " + f + ": " + fingers[f]);
+        return;
+      }
+    }
+    this._gestures[name] = spec;
+  };
+
+  /** Remove a gesture added with defineGesture(). */
+  Tracker.prototype.removeGesture = function (name) { delete this._gestures[name]; };
+
+  /**
+   * Is the hand making a gesture? Works with built-in names ("peace",
+   * "pinch", "thumbsUp", ...) and ones from defineGesture().
+   *   isGesture("spock")
+   *   isGesture("spock", "left")
+   */
+  Tracker.prototype.isGesture = function (name, which) {
+    var spec = this._gestures[name] || GESTURE_SPECS[name];
+    if (spec) return this._matchesGesture(this._resolveHand(which), spec);
+    if (GESTURE_PREDICATES[name]) return GESTURE_PREDICATES[name](this, which, false, { hysteresis: 0 });
+    return false;
+  };
+
+  /**
+   * How well the hand matches every gesture, from 0 (not at all) to 1
+   * (clearly), or null without a hand. Scores come from how far each finger
+   * is from the up/down boundary, times the detector's confidence in the
+   * hand — so you can rank gestures instead of checking booleans.
+   *   let s = gestureScores();
+   *   s.point   // 0.92
+   *   s.gun     // 0.12
+   * Includes your own gestures from defineGesture().
+   */
+  Tracker.prototype.gestureScores = function (which) {
+    var hand = this._resolveHand(which);
+    if (!hand || !hand.keypoints) return null;
+    var curls = this.fingerCurls(hand);
+    var up = {};
+    for (var i = 0; i < FINGER_NAMES.length; i++) {
+      var f = FINGER_NAMES[i], r = CURL_UP_DOWN[f];
+      up[f] = curls[f] === null ? 0.5 : Math.max(0, Math.min(1, (r[1] - curls[f]) / (r[1] - r[0])));
+    }
+    var confidence = typeof hand.confidence === "number" ? hand.confidence : 1;
+    var names = Object.keys(this._gestures).concat(GESTURE_ORDER);
+    var scores = {};
+    for (var j = 0; j < names.length; j++) {
+      var spec = this._gestures[names[j]] || GESTURE_SPECS[names[j]];
+      var score = spec ? this._gestureSpecScore(hand, spec, up) : GESTURE_SCORERS[names[j]](this, hand, up, curls);
+      scores[names[j]] = score * confidence;
+    }
+    return scores;
+  };
+
+  /**
+   * Name of the best-matching gesture, or null when none scores at least
+   * `threshold` (default 0.5) — see gestureScores(). On a tie your own
+   * gestures win, then the more specific built-ins ("gun" over "point").
+   *   currentGesture()
+   *   currentGesture("left", 0.8)   // only when clearly made
+   */
+  Tracker.prototype.currentGesture = function (which, threshold) {
+    if (typeof which === "number") { threshold = which; which = undefined; }
+    var scores = this.gestureScores(which);
+    if (!scores) return null;
+    threshold = threshold !== undefined ? threshold : 0.5;
+    var best = null, bestScore = -1;
+    for (var name in scores) {
+      if (scores[name] > bestScore) { best = name; bestScore = scores[name]; }
+    }
+    return bestScore >= threshold ? best : null;
+  };
+
+  // Fuzzy version of _matchesGesture(): every rule scores 0–1 by its margin,
+  // and the gesture is only as good as its weakest rule.
+  Tracker.prototype._gestureSpecScore = function (hand, spec, up) {
+    var score = 1, i, rule;
+
+    if (spec.fingers) {
+      for (var f in spec.fingers) {
+        var want = spec.fingers[f];
+        if (want === "any") continue;
+        score = Math.min(score, want === "up" || want === true ? up[f] : 1 - up[f]);
+      }
+    }
+
+    if (spec.distances) {
+      var size = this.handSize(hand);
+      if (!size) return 0;
+      for (i = 0; i < spec.distances.length; i++) {
+        rule = spec.distances[i];
+        var d = _dist(_getKeypoint(hand, rule.from), _getKeypoint(hand, rule.to));
+        if (d === Infinity) return 0;
+        // within 10% of the hand size of the limit is a maybe
+        score = Math.min(score, _marginScore(_rangeMargin(d / size, rule.min, rule.max), 0.1));
+      }
+    }
+
+    if (spec.angles) {
+      for (i = 0; i < spec.angles.length; i++) {
+        rule = spec.angles[i];
+        var a = _getKeypoint(hand, rule.from), b = _getKeypoint(hand, rule.to);
+        if (!a || !b) return 0;
+        var margin;
+        if (rule.at) {
+          var c = _getKeypoint(hand, rule.at);
+          if (!c) return 0;
+          margin = _rangeMargin(_jointAngle(a, c, b), rule.min, rule.max);
+        } else {
+          margin = _angleRangeMargin(Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI, rule.min, rule.max);
+        }
+        // within 15° of the limit is a maybe
+        score = Math.min(score, _marginScore(margin, 15));
+      }
+    }
+    return score;
+  };
+
+  Tracker.prototype._matchesGesture = function (hand, spec) {
+    if (!hand || !hand.keypoints) return false;
+    var i, rule;
+
+    if (spec.fingers) {
+      var up = this.fingersUp(hand);
+      for (var f in spec.fingers) {
+        var want = spec.fingers[f];
+        if (want === "any") continue;
+        if ((want === "up" || want === true) !== up[f]) return false;
+      }
+    }
+
+    if (spec.distances) {
+      var size = this.handSize(hand);
+      if (!size) return false;
+      for (i = 0; i < spec.distances.length; i++) {
+        rule = spec.distances[i];
+        var d = _dist(_getKeypoint(hand, rule.from), _getKeypoint(hand, rule.to));
+        if (d === Infinity || !_inRange(d / size, rule.min, rule.max)) return false;
+      }
+    }
+
+    if (spec.angles) {
+      for (i = 0; i < spec.angles.length; i++) {
+        rule = spec.angles[i];
+        var a = _getKeypoint(hand, rule.from), b = _getKeypoint(hand, rule.to);
+        if (!a || !b) return false;
+        var deg;
+        if (rule.at) {
+          var c = _getKeypoint(hand, rule.at);
+          if (!c) return false;
+          deg = _jointAngle(a, c, b);
+          if (!_inRange(deg, rule.min, rule.max)) return false;
+        } else {
+          deg = Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI;
+          if (!_inAngleRange(deg, rule.min, rule.max)) return false;
+        }
+      }
+    }
+    return true;
+  };
+
+  // ============================================================
+  //  GESTURE EVENTS
+  // ============================================================
+
+  /**
+   * Call functions when a gesture starts, is held, and ends — no more
+   * "wasPinching" bookkeeping in draw().
+   *
+   *   onGesture("pinch", "right", {
+   *     start: function (e) { ... },   // once, when the gesture begins
+   *     hold:  function (e) { ... },   // every detection frame while held
+   *     end:   function (e) { ... }    // once, when it's released
+   *   });
+   *   onGesture("peace", function (e) { ... })       // a function = start
+   *   onGesture("handFound", function (e) { ... })
+   *   onGesture("handLost", "left", function (e) { ... })
+   *   onGesture(function (which) { return isFingerUp(which, "pinky"); }, { start: ... })
+   *
+   * Gestures: pinch, grab, openHand, point, peace, thumbsUp, rockOn, shaka,
+   * gun, three, handFound, handLost, any name from defineGesture() — or your
+   * own predicate function.
+   * Each callback gets { gesture, which, hand, duration } (duration in ms).
+   *
+   * Options:
+   *   minHold    — ms the gesture must be held before start fires (default 60)
+   *   minRelease — ms it must be gone before end fires (default 60)
+   *   threshold  — pixel threshold for pinch/grab (default 40 / 90)
+   *   hysteresis — extra pixels allowed before a held pinch/grab ends (default 10)
+   *
+   * Returns a listener you can pass to offGesture().
+   */
+  Tracker.prototype.onGesture = function (gesture, which, callbacks, options) {
+    if (which !== undefined && which !== null && typeof which !== "string") {
+      options = callbacks; callbacks = which; which = undefined;
+    }
+    if (typeof callbacks === "function") {
+      callbacks = gesture === "handLost" ? { end: callbacks } : { start: callbacks };
+    }
+    callbacks = callbacks || {};
+    options = options || {};
+
+    var predicate;
+    if (typeof gesture === "function") {
+      predicate = function (t, w, active) { return !!gesture.call(t, w, active); };
+    } else if (gesture === "handFound" || gesture === "handLost") {
+      predicate = GESTURE_PREDICATES.hand;
+    } else if (GESTURE_PREDICATES[gesture]) {
+      predicate = GESTURE_PREDICATES[gesture];
+    } else if (GESTURE_SPECS[gesture] || this._gestures[gesture]) {
+      predicate = function (t, w) { return t.isGesture(gesture, w); };
+    }
+    if (!predicate) {
+      console.warn("p5.Hands: onGesture() — unknown gesture \"" + gesture + "\".");
+      return null;
+    }
+
+    var listener = {
+      gesture: typeof gesture === "function" ? (gesture.name || "custom") : gesture,
+      which: which,
+      predicate: predicate,
+      start: callbacks.start || null,
+      hold: callbacks.hold || null,
+      end: callbacks.end || null,
+      options: {
+        minHold: options.minHold !== undefined ? options.minHold : 60,
+        minRelease: options.minRelease !== undefined ? options.minRelease : 60,
+        threshold: options.threshold,
+        hysteresis: options.hysteresis !== undefined ? options.hysteresis : 10
+      },
+      state: "idle",      // idle → pending → active → releasing → idle
+      since: 0,           // when the current state began
+      startTime: 0        // when start fired
+    };
+    this._gestureListeners.push(listener);
+    return listener;
+  };
+
+  /**
+   * Remove gesture listeners.
+   *   offGesture(listener)   // one listener returned by onGesture()
+   *   offGesture("pinch")    // every listener for a gesture
+   *   offGesture()           // all of them
+   */
+  Tracker.prototype.offGesture = function (listenerOrGesture) {
+    if (listenerOrGesture === undefined) { this._gestureListeners = []; return; }
+    this._gestureListeners = this._gestureListeners.filter(function (l) {
+      return l !== listenerOrGesture && l.gesture !== listenerOrGesture;
+    });
+  };
+
+  // Advance every listener's state machine by one detection frame.
+  Tracker.prototype._updateGestureEvents = function () {
+    var listeners = this._gestureListeners.slice();
+    var now = _now();
+    for (var i = 0; i < listeners.length; i++) {
+      var l = listeners[i];
+      var active = l.state === "active" || l.state === "releasing";
+      var on = l.predicate(this, l.which, active, l.options);
+
+      if (l.state === "idle" && on) {
+        l.state = "pending"; l.since = now;
+      } else if (l.state === "pending" && !on) {
+        l.state = "idle";
+      } else if (l.state === "active" && !on) {
+        l.state = "releasing"; l.since = now;
+      } else if (l.state === "releasing" && on) {
+        l.state = "active";
+      }
+
+      if (l.state === "pending" && now - l.since >= l.options.minHold) {
+        l.state = "active";
+        l.startTime = now;
+        if (l.start) l.start(this._gestureEvent(l, now));
+      } else if (l.state === "active" && on) {
+        if (l.hold) l.hold(this._gestureEvent(l, now));
+      } else if (l.state === "releasing" && now - l.since >= l.options.minRelease) {
+        l.state = "idle";
+        if (l.end) l.end(this._gestureEvent(l, now));
+      }
+    }
+  };
+
+  Tracker.prototype._gestureEvent = function (listener, now) {
+    return {
+      gesture: listener.gesture,
+      which: listener.which,
+      hand: this._resolveHand(listener.which),
+      duration: now - listener.startTime
+    };
+  };
+
+  // ============================================================
+  //  TWO-HAND TRANSFORM — pinch-zoom, rotate and pan with both hands
+  // ============================================================
+  // A transform here is { scale, rotation, x, y }: scale, rotate (radians)
+  // around the origin, then shift by x, y — in canvas pixels.
+
+  var IDENTITY_TRANSFORM = { scale: 1, rotation: 0, x: 0, y: 0 };
+
+  // The transform that moves the segment a0–b0 onto a–b.
+  function _segmentTransform(a0, b0, a, b) {
+    var v0x = b0.x - a0.x, v0y = b0.y - a0.y, vx = b.x - a.x, vy = b.y - a.y;
+    var scale = Math.sqrt(vx * vx + vy * vy) / (Math.sqrt(v0x * v0x + v0y * v0y) || 1);
+    var rotation = Math.atan2(vy, vx) - Math.atan2(v0y, v0x);
+    rotation = Math.atan2(Math.sin(rotation), Math.cos(rotation));
+    // The midpoint of a0–b0 lands on the midpoint of a–b
+    var c0x = (a0.x + b0.x) / 2, c0y = (a0.y + b0.y) / 2;
+    var cos = Math.cos(rotation) * scale, sin = Math.sin(rotation) * scale;
+    return {
+      scale: scale, rotation: rotation,
+      x: (a.x + b.x) / 2 - (cos * c0x - sin * c0y),
+      y: (a.y + b.y) / 2 - (sin * c0x + cos * c0y)
+    };
+  }
+
+  // `second` applied after `first`.
+  function _composeTransforms(first, second) {
+    var cos = Math.cos(second.rotation) * second.scale, sin = Math.sin(second.rotation) * second.scale;
+    return {
+      scale: first.scale * second.scale,
+      rotation: first.rotation + second.rotation,
+      x: cos * first.x - sin * first.y + second.x,
+      y: sin * first.x + cos * first.y + second.y
+    };
+  }
+
+  // Both pinch points in canvas coordinates, or null unless both hands are there.
+  Tracker.prototype._twoHandPoints = function () {
+    var a = _pinchMid(this._resolveHand("left")), b = _pinchMid(this._resolveHand("right"));
+    return a && b ? { left: this.mapHandPoint(a), right: this.mapHandPoint(b) } : null;
+  };
+
+  // State behind twoHandTransform(), set up the first time it's used: a
+  // gesture listener that follows "both hands pinching".
+  Tracker.prototype._twoHandState = function () {
+    var th = this._twoHand;
+    if (th && this._gestureListeners.indexOf(th.listener) !== -1) return th;
+    th = this._twoHand = th || { total: IDENTITY_TRANSFORM, start: null, current: null, listener: null };
+    var self = this;
+    function bothPinching(which, active) {
+      var o = { hysteresis: 10 };
+      return GESTURE_PREDICATES.pinch(self, "left", active, o) && GESTURE_PREDICATES.pinch(self, "right", active, o);
+    }
+    function follow() {
+      var pts = self._twoHandPoints();
+      if (!pts || !th.start) return;
+      th.current = {
+        left: pts.left, right: pts.right,
+        transform: _segmentTransform(th.start.left, th.start.right, pts.left, pts.right)
+      };
+    }
+    th.listener = this.onGesture(bothPinching, {
+      start: function () {
+        th.start = self._twoHandPoints();
+        follow();
+      },
+      hold: follow,
+      end: function () {
+        if (th.current) th.total = _composeTransforms(th.total, th.current.transform);
+        th.start = th.current = null;
+      }
+    });
+    return th;
+  };
+
+  /**
+   * While both hands pinch, how they moved since the pinches began — like
+   * two fingers on a touch screen. null otherwise.
+   *   let t = twoHandTransform();
+   *   if (t) text(nf(t.scale, 1, 2) + "x", 10, 20);
+   *
+   * Returns { scale, rotation, translation: { x, y }, center, startCenter }:
+   * scale as a factor, rotation in radians, translation and centers (the
+   * midpoint between the two pinches) in canvas pixels.
+   */
+  Tracker.prototype.twoHandTransform = function () {
+    var th = this._twoHandState();
+    if (!th.start || !th.current) return null;
+    var s = th.start, c = th.current;
+    var startCenter = { x: (s.left.x + s.right.x) / 2, y: (s.left.y + s.right.y) / 2 };
+    var center = { x: (c.left.x + c.right.x) / 2, y: (c.left.y + c.right.y) / 2 };
+    return {
+      scale: c.transform.scale,
+      rotation: c.transform.rotation,
+      translation: { x: center.x - startCenter.x, y: center.y - startCenter.y },
+      center: center,
+      startCenter: startCenter
+    };
+  };
+
+  /**
+   * Apply everything the two hands have done so far (every pinch-zoom, turn
+   * and pan, including the one in progress) with translate/rotate/scale.
+   * Draw your content right after, between push() and pop():
+   *   push();
+   *   applyTwoHandTransform();
+   *   image(map, 0, 0);
+   *   pop();
+   * Returns the transform: { scale, rotation, x, y }.
+   */
+  Tracker.prototype.applyTwoHandTransform = function () {
+    var p = this.p;
+    var th = this._twoHandState();
+    var t = th.current ? _composeTransforms(th.total, th.current.transform) : th.total;
+    if (p) {
+      p.translate(t.x, t.y);
+      p.rotate(_toAngleMode(p, t.rotation));
+      p.scale(t.scale);
+    }
+    return { scale: t.scale, rotation: t.rotation, x: t.x, y: t.y };
+  };
+
+  /** Forget the two-hand transform so far — back to no zoom, turn or pan. */
+  Tracker.prototype.resetTwoHandTransform = function () {
+    var th = this._twoHandState();
+    th.total = IDENTITY_TRANSFORM;
+    // A gesture in progress carries on from here
+    if (th.start && th.current) {
+      th.start = { left: th.current.left, right: th.current.right };
+      th.current.transform = IDENTITY_TRANSFORM;
+    }
+  };
+
+  // ============================================================
+  //  STROKE GESTURES — air-drawn shapes ($1 unistroke recognizer)
+  // ============================================================
+  // Strokes are resampled to a fixed number of points, scaled into a square
+  // and centered, then compared point-by-point against each template at the
+  // best rotation within ±45°. Orientation is kept on purpose, so arrows in
+  // different directions stay different gestures. Closed shapes like the
+  // circle have a template per starting point instead.
+  var STROKE_POINTS = 64;
+  var STROKE_SQUARE = 250;
+  var STROKE_HALF_DIAGONAL = 0.5 * Math.sqrt(2 * STROKE_SQUARE * STROKE_SQUARE);
+  var STROKE_ANGLE_RANGE = Math.PI / 4;
+  var STROKE_ANGLE_STEP = Math.PI / 90;
+  // Strokes thinner than this (short side / long side) are scaled
+  // uniformly, so a line isn't stretched into a square
+  var STROKE_ONE_D = 0.3;
+  // Below this score recognizeStroke() reports no match
+  var STROKE_MIN_SCORE = 0.8;
+  var GOLDEN_RATIO = 0.5 * (-1 + Math.sqrt(5));
+
+  function _pathLength(pts) {
+    var d = 0;
+    for (var i = 1; i < pts.length; i++) d += _dist(pts[i - 1], pts[i]);
+    return d;
+  }
+
+  function _resample(pts, n) {
+    var interval = _pathLength(pts) / (n - 1);
+    var d = 0;
+    var src = pts.map(function (p) { return { x: p.x, y: p.y }; });
+    var out = [src[0]];
+    for (var i = 1; i < src.length; i++) {
+      var seg = _dist(src[i - 1], src[i]);
+      if (d + seg >= interval && seg > 0) {
+        var t = (interval - d) / seg;
+        var q = { x: _lerp(src[i - 1].x, src[i].x, t), y: _lerp(src[i - 1].y, src[i].y, t) };
+        out.push(q);
+        src.splice(i, 0, q); // q becomes the start of the next segment
+        d = 0;
+      } else {
+        d += seg;
+      }
+    }
+    // Rounding can leave us one short
+    while (out.length < n) out.push({ x: src[src.length - 1].x, y: src[src.length - 1].y });
+    return out.slice(0, n);
+  }
+
+  function _centroid(pts) {
+    var x = 0, y = 0;
+    for (var i = 0; i < pts.length; i++) { x += pts[i].x; y += pts[i].y; }
+    return { x: x / pts.length, y: y / pts.length };
+  }
+
+  function _rotateBy(pts, angle) {
+    var c = _centroid(pts), cos = Math.cos(angle), sin = Math.sin(angle);
+    return pts.map(function (p) {
+      return {
+        x: (p.x - c.x) * cos - (p.y - c.y) * sin + c.x,
+        y: (p.x - c.x) * sin + (p.y - c.y) * cos + c.y
+      };
+    });
+  }
+
+  // Scale into a square (or keep the aspect ratio when it's nearly a line)
+  // and move the centroid to the origin.
+  function _normalizeStroke(pts) {
+    pts = _resample(pts, STROKE_POINTS);
+    var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (var i = 0; i < pts.length; i++) {
+      minX = Math.min(minX, pts[i].x); maxX = Math.max(maxX, pts[i].x);
+      minY = Math.min(minY, pts[i].y); maxY = Math.max(maxY, pts[i].y);
+    }
+    var w = Math.max(maxX - minX, 1e-6), h = Math.max(maxY - minY, 1e-6);
+    if (Math.min(w, h) / Math.max(w, h) < STROKE_ONE_D) w = h = Math.max(w, h);
+    pts = pts.map(function (p) { return { x: p.x * STROKE_SQUARE / w, y: p.y * STROKE_SQUARE / h }; });
+    var c = _centroid(pts);
+    return pts.map(function (p) { return { x: p.x - c.x, y: p.y - c.y }; });
+  }
+
+  function _pathDistance(a, b) {
+    var d = 0;
+    for (var i = 0; i < a.length; i++) d += _dist(a[i], b[i]);
+    return d / a.length;
+  }
+
+  // Golden section search for the rotation that best matches the template.
+  function _distanceAtBestAngle(pts, template) {
+    var a = -STROKE_ANGLE_RANGE, b = STROKE_ANGLE_RANGE;
+    var x1 = GOLDEN_RATIO * a + (1 - GOLDEN_RATIO) * b;
+    var f1 = _pathDistance(_rotateBy(pts, x1), template);
+    var x2 = (1 - GOLDEN_RATIO) * a + GOLDEN_RATIO * b;
+    var f2 = _pathDistance(_rotateBy(pts, x2), template);
+    while (Math.abs(b - a) > STROKE_ANGLE_STEP) {
+      if (f1 < f2) {
+        b = x2; x2 = x1; f2 = f1;
+        x1 = GOLDEN_RATIO * a + (1 - GOLDEN_RATIO) * b;
+        f1 = _pathDistance(_rotateBy(pts, x1), template);
+      } else {
+        a = x1; x1 = x2; f1 = f2;
+        x2 = (1 - GOLDEN_RATIO) * a + GOLDEN_RATIO * b;
+        f2 = _pathDistance(_rotateBy(pts, x2), template);
+      }
+    }
+    return Math.min(f1, f2);
+  }
+
+  // Accepts [{x, y}, ...] or [[x, y], ...]
+  function _toStrokePoints(points) {
+    return (points || []).map(function (p) { return Array.isArray(p) ? { x: p[0], y: p[1] } : { x: p.x, y: p.y }; });
+  }
+
+  // A template matches strokes drawn in either direction.
+  function _makeStrokeTemplate(name, points) {
+    var pts = _toStrokePoints(points);
+    return {
+      name: name,
+      forward: _normalizeStroke(pts),
+      backward: _normalizeStroke(pts.slice().reverse())
+    };
+  }
+
+  function _arrowPoints(angle) {
+    // Shaft to the tip, out to one barb, back to the tip, out to the other
+    var base = [[0, 0.5], [1, 0.5], [0.7, 0.2], [1, 0.5], [0.7, 0.8]];
+    var cos = Math.cos(angle), sin = Math.sin(angle);
+    return base.map(function (p) {
+      var x = p[0] - 0.5, y = p[1] - 0.5;
+      return [x * cos - y * sin, x * sin + y * cos];
+    });
+  }
+
+  // A circle starting at `start` radians (0 = right, π/2 = bottom)
+  function _circlePoints(start) {
+    var pts = [];
+    for (var i = 0; i <= 32; i++) {
+      var a = start + (i / 32) * Math.PI * 2;
+      pts.push([Math.cos(a), Math.sin(a)]);
+    }
+    return pts;
+  }
+
+  // Built-in shapes, in canvas coordinates (y points down).
+  var STROKE_TEMPLATES = [
+    _makeStrokeTemplate("circle", _circlePoints(-Math.PI / 2)),
+    _makeStrokeTemplate("circle", _circlePoints(0)),
+    _makeStrokeTemplate("circle", _circlePoints(Math.PI / 2)),
+    _makeStrokeTemplate("circle", _circlePoints(Math.PI)),
+    _makeStrokeTemplate("check", [[0, 0.55], [0.35, 1], [1, 0]]),
+    _makeStrokeTemplate("x", [[0, 0], [1, 1], [1, 0], [0, 1]]),
+    _makeStrokeTemplate("triangle", [[0.5, 0], [1, 1], [0, 1], [0.5, 0]]),
+    _makeStrokeTemplate("zigzag", [[0, 0], [0.25, 1], [0.5, 0], [0.75, 1], [1, 0]]),
+    _makeStrokeTemplate("arrowRight", _arrowPoints(0)),
+    _makeStrokeTemplate("arrowDown", _arrowPoints(Math.PI / 2)),
+    _makeStrokeTemplate("arrowLeft", _arrowPoints(Math.PI)),
+    _makeStrokeTemplate("arrowUp", _arrowPoints(-Math.PI / 2))
+  ];
+
+  /**
+   * Recognize shapes drawn in the air with a fingertip. While the pen-down
+   * gesture is held, the fingertip path is captured; when it's released the
+   * path is matched against the built-in shapes and your own templates.
+   *
+   *   startStrokes({
+   *     penDown: "pinch",                      // or "point", or a predicate
+   *     onStroke: function (result) {
+   *       if (result.name) console.log(result.name);
+   *     }
+   *   });
+   *
+   * Built-in shapes: circle, check, x, triangle, zigzag, arrowRight,
+   * arrowLeft, arrowUp, arrowDown.
+   *
+   * Options:
+   *   which     — which hand draws (default: same as other helpers)
+   *   finger    — fingertip that draws (default "index")
+   *   penDown   — gesture name or predicate for onGesture() (default "pinch")
+   *   minPoints — shorter strokes are ignored (default 10)
+   *   minScore  — weaker matches get name null (default 0.8)
+   *   onStroke  — function called with { name, score, points } after each stroke
+   */
+  Tracker.prototype.startStrokes = function (options) {
+    options = options || {};
+    this.stopStrokes();
+    var self = this;
+    var strokes = {
+      finger: options.finger || "index",
+      minPoints: options.minPoints || 10,
+      minScore: options.minScore,
+      onStroke: options.onStroke || null,
+      handId: null,
+      startTime: 0,
+      last: null,
+      listener: null
+    };
+    var minRelease = 80;
+    strokes.listener = this.onGesture(options.penDown || "pinch", options.which, {
+      start: function (e) {
+        strokes.handId = e.hand ? e.hand.id : null;
+        strokes.startTime = _now();
+      },
+      end: function () {
+        var handId = strokes.handId;
+        strokes.handId = null;
+        if (!handId) return;
+        // Leave out the frames where the pen was already lifting
+        var liftTime = _now() - minRelease;
+        var pts = self._historyOf(handId, TIP_NAMES[strokes.finger], strokes.startTime)
+          .filter(function (p) { return p.t <= liftTime; });
+        if (pts.length < strokes.minPoints) return;
+        var result = self.recognizeStroke(pts, strokes.minScore);
+        result.points = pts.map(self._output, self);
+        strokes.last = result;
+        if (strokes.onStroke) strokes.onStroke(result);
+      }
+    }, { minHold: 0, minRelease: minRelease });
+    this._strokes = strokes;
+  };
+
+  /** Stop recognizing strokes. */
+  Tracker.prototype.stopStrokes = function () {
+    if (!this._strokes) return;
+    this.offGesture(this._strokes.listener);
+    this._strokes = null;
+  };
+
+  /** The stroke being drawn right now ([{ x, y, t }, ...]), or [] when the pen is up. */
+  Tracker.prototype.currentStroke = function () {
+    var s = this._strokes;
+    if (!s || !s.handId) return [];
+    return this._historyOf(s.handId, TIP_NAMES[s.finger], s.startTime).map(this._output, this);
+  };
+
+  /** The last recognized stroke ({ name, score, points }), or null. */
+  Tracker.prototype.lastStroke = function () {
+    return this._strokes ? this._strokes.last : null;
+  };
+
+  /**
+   * Match a path of points against the stroke templates.
+   * Returns { name, score } — score from 0 (no match) to 1 (perfect).
+   * name is null when the best score is below minScore (default 0.8).
+   *   recognizeStroke([{x: 10, y: 10}, {x: 50, y: 60}, ...])
+   */
+  Tracker.prototype.recognizeStroke = function (points, minScore) {
+    var pts = _toStrokePoints(points);
+    if (pts.length < 2 || _pathLength(pts) === 0) return { name: null, score: 0 };
+    var candidate = _normalizeStroke(pts);
+    var templates = this._strokeTemplates.concat(STROKE_TEMPLATES);
+    var best = null, bestD = Infinity;
+    for (var i = 0; i < templates.length; i++) {
+      var d = Math.min(
+        _distanceAtBestAngle(candidate, templates[i].forward),
+        _distanceAtBestAngle(candidate, templates[i].backward)
+      );
+      if (d < bestD) { bestD = d; best = templates[i]; }
+    }
+    var score = Math.max(0, 1 - bestD / STROKE_HALF_DIAGONAL);
+    if (score < (minScore !== undefined ? minScore : STROKE_MIN_SCORE)) return { name: null, score: score };
+    return { name: best.name, score: score };
+  };
+
+  /**
+   * Add your own shape. Points are [{x, y}, ...] or [[x, y], ...], in the
+   * order the stroke is drawn; any size or position works.
+   *   addStrokeTemplate("s", [[1, 0], [0, 0.25], [1, 0.75], [0, 1]])
+   *   addStrokeTemplate("myShape", lastStroke().points)
+   */
+  Tracker.prototype.addStrokeTemplate = function (name, points) {
+    var pts = _toStrokePoints(points);
+    if (!name || pts.length < 2 || _pathLength(pts) === 0) {
+      console.warn("p5.Hands: addStrokeTemplate() needs a name and at least two distinct points.");
+      return;
+    }
+    this._strokeTemplates.push(_makeStrokeTemplate(name, pts));
+  };
+
+  // ============================================================
+  //  CALIBRATION
+  // ============================================================
+  // Everyone's hands (and distance from the camera) are different. A quick
+  // calibration records this user's open hand, fist and pinch, relative to
+  // their palm size, so isPinching(), pinchAmount() and isGrabbing() work
+  // at any distance and video resolution.
+
+  var CALIBRATION_STEPS = [
+    { name: "open", prompt: "Hold your hand open, fingers spread" },
+    { name: "fist", prompt: "Make a fist" },
+    { name: "pinch", prompt: "Pinch your thumb and index finger together" }
+  ];
+
+  // Where between "fully closed" and "fully open" the calibrated pinch and
+  // fist thresholds sit.
+  var PINCH_AT = 0.25;
+  var GRAB_AT = 0.35;
+
+  // Pixel thresholds for this hand: from the calibration (scaled by the
+  // hand's palm size) when there is one, else the classic fixed defaults.
+  Tracker.prototype._thresholds = function (hand) {
+    var t = { pinch: 40, pinchMin: 15, pinchMax: 100, grab: 90 };
+    var c = this._calibration, palm = _palmSize(hand);
+    if (!c || !palm) return t;
+    if (c.pinch) {
+      t.pinch = _lerp(c.pinch.closed, c.pinch.open, PINCH_AT) * palm;
+      t.pinchMin = c.pinch.closed * palm;
+      t.pinchMax = c.pinch.open * palm;
+    }
+    if (c.grab) t.grab = _lerp(c.grab.closed, c.grab.open, GRAB_AT) * palm;
+    return t;
+  };
+
+  /**
+   * Walk the user through a short calibration: open hand, fist, pinch.
+   * Call drawCalibration() in draw() to show the instructions.
+   *
+   *   calibrateHands({ onDone: function (c) { storeItem("hands", c); } });
+   *
+   * Options:
+   *   which      — which hand to calibrate (default: same as other helpers)
+   *   settleTime — ms to hold a pose before measuring starts (default 1000)
+   *   sampleTime — ms each pose is measured for (default 1500)
+   *   onStep     — function called with { step, prompt } when a new step begins
+   *   onDone     — function called with the calibration when finished
+   */
+  Tracker.prototype.calibrateHands = function (options) {
+    options = options || {};
+    this._calibrating = {
+      which: options.which,
+      settleTime: options.settleTime !== undefined ? options.settleTime : 1000,
+      sampleTime: options.sampleTime !== undefined ? options.sampleTime : 1500,
+      onStep: options.onStep || null,
+      onDone: options.onDone || null,
+      step: 0,
+      since: null,   // when the hand showed up for this step (null = no hand yet)
+      samples: { open: [], fist: [], pinch: [] }
+    };
+    if (options.onStep) options.onStep({ step: CALIBRATION_STEPS[0].name, prompt: CALIBRATION_STEPS[0].prompt });
+  };
+
+  /** Is a calibration in progress? */
+  Tracker.prototype.isCalibrating = function () { return this._calibrating !== null; };
+
+  /** Stop a calibration in progress (the previous calibration stays). */
+  Tracker.prototype.cancelCalibration = function () { this._calibrating = null; };
+
+  /**
+   * Where the calibration is at, for drawing your own instructions.
+   * Returns { step, prompt, handVisible, measuring, progress } or null.
+   * progress goes 0 → 1 over the current step.
+   */
+  Tracker.prototype.calibrationStatus = function () {
+    var c = this._calibrating;
+    if (!c) return null;
+    var step = CALIBRATION_STEPS[c.step];
+    var elapsed = c.since === null ? 0 : _now() - c.since;
+    return {
+      step: step.name,
+      stepIndex: c.step,
+      steps: CALIBRATION_STEPS.length,
+      prompt: step.prompt,
+      handVisible: c.since !== null,
+      measuring: elapsed >= c.settleTime,
+      progress: Math.min(1, elapsed / (c.settleTime + c.sampleTime))
+    };
+  };
+
+  // Advance the calibration by one detection frame.
+  Tracker.prototype._updateCalibration = function () {
+    var c = this._calibrating;
+    if (!c) return;
+    var hand = this._resolveHand(c.which);
+    var palm = _palmSize(hand);
+    var now = _now();
+    var step = CALIBRATION_STEPS[c.step];
+
+    // Losing the hand restarts the step
+    if (!palm) { c.since = null; c.samples[step.name] = []; return; }
+    if (c.since === null) c.since = now;
+
+    var elapsed = now - c.since;
+    if (elapsed < c.settleTime) return;
+    c.samples[step.name].push({ pinch: _pinchDist(hand) / palm, grab: _grabDist(hand) / palm });
+    if (elapsed < c.settleTime + c.sampleTime) return;
+
+    c.step++;
+    c.since = null;
+    if (c.step < CALIBRATION_STEPS.length) {
+      var next = CALIBRATION_STEPS[c.step];
+      if (c.onStep) c.onStep({ step: next.name, prompt: next.prompt });
+      return;
+    }
+
+    this._calibrating = null;
+    var result = _buildCalibration(c.samples);
+    if (result.pinch || result.grab) this._calibration = result;
+    if (c.onDone) c.onDone(result.pinch || result.grab ? this.getHandsCalibration() : null);
+  };
+
+  function _buildCalibration(samples) {
+    function median(list, key) {
+      return _median(list.map(function (s) { return s[key]; }).filter(isFinite));
+    }
+    var result = { version: 1, pinch: null, grab: null };
+    var pinchOpen = median(samples.open, "pinch"), pinchClosed = median(samples.pinch, "pinch");
+    var grabOpen = median(samples.open, "grab"), grabClosed = median(samples.fist, "grab");
+    // Only keep a range if the poses were actually different
+    if (pinchOpen !== null && pinchClosed !== null && pinchOpen - pinchClosed > 0.05) {
+      result.pinch = { closed: pinchClosed, open: pinchOpen };
+    } else {
+      console.warn("p5.Hands: calibration couldn't tell your pinch from your open hand — keeping the default pinch thresholds.");
+    }
+    if (grabOpen !== null && grabClosed !== null && grabOpen - grabClosed > 0.05) {
+      result.grab = { closed: grabClosed, open: grabOpen };
+    } else {
+      console.warn("p5.Hands: calibration couldn't tell your fist from your open hand — keeping the default fist threshold.");
+    }
+    return result;
+  }
 
-  /** How many hands are currently detected. */
-  p5.prototype.handCount = function () {
-    return (_smoothing > 0 ? _smoothedHands : _hands).length;
+  /**
+   * Get the current calibration as plain JSON (or null) — save it so a
+   * kiosk remembers its user:
+   *   storeItem("handsCalibration", getHandsCalibration());
+   */
+  Tracker.prototype.getHandsCalibration = function () {
+    return this._calibration ? _copy(this._calibration) : null;
   };
 
-  /** Is the model loaded and running? */
-  p5.prototype.handsReady = function () { return _ready && _running; };
+  /**
+   * Use a saved calibration (object or JSON string).
+   *   setHandsCalibration(getItem("handsCalibration"));
+   */
+  Tracker.prototype.setHandsCalibration = function (calibration) {
+    if (typeof calibration === "string") {
+      try { calibration = JSON.parse(calibration); } catch (e) { calibration = null; }
+    }
+    if (!calibration || typeof calibration !== "object" || (!calibration.pinch && !calibration.grab)) {
+      console.warn("p5.Hands: setHandsCalibration() — not a calibration from getHandsCalibration().");
+      return;
+    }
+    this._calibration = {
+      version: 1,
+      pinch: _validRange(calibration.pinch),
+      grab: _validRange(calibration.grab)
+    };
+  };
 
-  /** Get the webcam video element. */
-  p5.prototype.getHandsVideo = function () { return _video; };
+  function _validRange(r) {
+    return r && isFinite(r.closed) && isFinite(r.open) && r.open > r.closed
+      ? { closed: r.closed, open: r.open }
+      : null;
+  }
+
+  /** Forget the calibration and go back to the default thresholds. */
+  Tracker.prototype.clearHandsCalibration = function () { this._calibration = null; };
+
+  /** Is a calibration in use? */
+  Tracker.prototype.handsCalibrated = function () { return this._calibration !== null; };
+
+  /**
+   * Show the calibration instructions and progress. Call in draw() while
+   * isCalibrating() — it draws nothing otherwise.
+   */
+  Tracker.prototype.drawCalibration = function () {
+    var p = this.p;
+    var status = this.calibrationStatus();
+    if (!p || !status) return;
+    var cx = p.width / 2, cy = p.height / 2;
+    this._beginDraw();
+    p.noStroke();
+    p.fill(0, 0, 0, 160);
+    p.rect(0, cy - 60, p.width, 120);
+    if (_canDrawText(p)) {
+      p.textAlign(p.CENTER, p.CENTER);
+      p.fill(255);
+      p.textSize(20);
+      p.text(status.prompt, cx, cy - 20);
+      p.textSize(14);
+      p.fill(255, 255, 255, 180);
+      var hint = !status.handVisible ? "Show your hand to the camera"
+        : status.measuring ? "Measuring — hold still" : "Hold it...";
+      p.text(hint + "   (" + (status.stepIndex + 1) + "/" + status.steps + ")", cx, cy + 10);
+    }
+    // Progress bar
+    var w = Math.min(300, p.width - 40);
+    p.fill(255, 255, 255, 60);
+    p.rect(cx - w / 2, cy + 35, w, 6, 3);
+    p.fill(100, 255, 150);
+    p.rect(cx - w / 2, cy + 35, w * status.progress, 6, 3);
+    p.pop();
+  };
 
   // ============================================================
-  //  POINT ACCESS
+  //  POSE CLASSIFIER — teach your own poses by example (k-NN)
   // ============================================================
 
+  // A hand as numbers that don't change when it moves, grows or turns:
+  // keypoints relative to the wrist, divided by handSize(), turned so the
+  // wrist → middle MCP line points up. Left hands are mirrored, so one
+  // example teaches both hands.
+  function _poseFeatures(hand) {
+    var kps = hand && hand.keypoints;
+    if (!kps || kps.length < 21) return null;
+    var wrist = kps[KP.wrist], mcp = kps[KP.middle_finger_mcp];
+    var size = _dist(wrist, kps[KP.middle_finger_tip]);
+    if (!size || size === Infinity) return null;
+    var mirror = hand.handedness === "Left" ? -1 : 1;
+    var angle = -Math.PI / 2 - Math.atan2(mcp.y - wrist.y, (mcp.x - wrist.x) * mirror);
+    var cos = Math.cos(angle), sin = Math.sin(angle);
+    var out = [];
+    for (var i = 0; i < 21; i++) {
+      var x = (kps[i].x - wrist.x) * mirror / size, y = (kps[i].y - wrist.y) / size;
+      out.push(Math.round((x * cos - y * sin) * 1e4) / 1e4, Math.round((x * sin + y * cos) * 1e4) / 1e4);
+    }
+    return out;
+  }
+
+  function _featureDist(a, b) {
+    var sum = 0;
+    for (var i = 0; i < a.length; i++) sum += (a[i] - b[i]) * (a[i] - b[i]);
+    return Math.sqrt(sum);
+  }
+
   /**
-   * Get any keypoint by name.
-   *   getPoint("right", "thumb_tip")
-   *   getPoint("thumb")            // defaults to right hand, returns thumb tip
-   *   getPoint("left", "wrist")
+   * Remember the current hand pose as an example of `label`. Show a few
+   * examples of each pose, from slightly different angles.
+   *   function keyPressed() { if (key === "a") addPoseExample("rock"); }
+   * Returns how many examples `label` now has, or null without a hand.
    */
-  p5.prototype.getPoint = function (which, name) {
-    if (name === undefined && typeof which === "string" && !/^(left|right|l|r|any|first)$/i.test(which)) {
-      name = which; which = undefined;
+  Tracker.prototype.addPoseExample = function (label, which) {
+    var features = _poseFeatures(this._resolveHand(which));
+    if (!features) {
+      console.warn("p5.Hands: addPoseExample() — no hand to learn from.");
+      return null;
     }
-    return _getKeypoint(_resolveHand(which), name);
+    label = String(label);
+    this._poseExamples.push({ label: label, features: features });
+    return this.poseExampleCounts()[label];
   };
 
   /**
-   * Get a fingertip position.
-   *   fingerTip("right", "index")
-   *   fingerTip("index")   // defaults to right hand
+   * Which taught pose the hand is closest to, by its k nearest examples.
+   * Returns { label, confidence, confidences } or null without a hand or
+   * examples. confidence is the share of the k neighbours that agree;
+   * confidences has the share for every label.
+   *   let pose = classifyPose();
+   *   if (pose && pose.confidence > 0.8) text(pose.label, 20, 40);
    */
-  p5.prototype.fingerTip = function (which, finger) {
-    if (finger === undefined && FINGER_NAMES.indexOf(which) !== -1) {
-      finger = which; which = undefined;
+  Tracker.prototype.classifyPose = function (which, k) {
+    var features = _poseFeatures(this._resolveHand(which));
+    if (!features || !this._poseExamples.length) return null;
+    var nearest = this._poseExamples
+      .map(function (ex) { return { label: ex.label, d: _featureDist(features, ex.features) }; })
+      .sort(function (a, b) { return a.d - b.d; })
+      .slice(0, k > 0 ? k : 5);
+    var votes = {}, best = null;
+    // Neighbours are nearest first, so on a tie the closest label wins
+    nearest.forEach(function (n) {
+      votes[n.label] = (votes[n.label] || 0) + 1;
+      if (best === null || votes[n.label] > votes[best]) best = n.label;
+    });
+    var confidences = {};
+    Object.keys(this.poseExampleCounts()).forEach(function (label) {
+      confidences[label] = (votes[label] || 0) / nearest.length;
+    });
+    return { label: best, confidence: confidences[best], confidences: confidences };
+  };
+
+  /** How many examples each label has, e.g. { rock: 12, paper: 10 }. */
+  Tracker.prototype.poseExampleCounts = function () {
+    var counts = {};
+    this._poseExamples.forEach(function (ex) { counts[ex.label] = (counts[ex.label] || 0) + 1; });
+    return counts;
+  };
+
+  /** Forget the examples of one label, or all of them. */
+  Tracker.prototype.clearPoseExamples = function (label) {
+    this._poseExamples = label === undefined ? [] : this._poseExamples.filter(function (ex) {
+      return ex.label !== String(label);
+    });
+  };
+
+  /**
+   * The examples as plain JSON, for loadPoseModel() later:
+   *   storeItem("poses", getPoseModel());
+   */
+  Tracker.prototype.getPoseModel = function () {
+    return { version: 1, examples: _copy(this._poseExamples) };
+  };
+
+  /**
+   * Download the examples as a JSON file.
+   *   savePoseModel("poses.json")
+   */
+  Tracker.prototype.savePoseModel = function (filename) {
+    this.p.saveJSON(this.getPoseModel(), filename || "hands-poses.json");
+  };
+
+  /**
+   * Use saved examples (object or JSON string) instead of the current ones.
+   *   let poses;
+   *   function preload() { poses = loadJSON("poses.json"); }
+   *   function setup() { ...; loadPoseModel(poses); }
+   */
+  Tracker.prototype.loadPoseModel = function (json) {
+    if (typeof json === "string") {
+      try { json = JSON.parse(json); } catch (e) { json = null; }
     }
-    var hand = _resolveHand(which);
-    var name = TIP_NAMES[finger];
-    return name ? _getKeypoint(hand, name) : null;
+    var examples = json && json.examples;
+    if (!Array.isArray(examples)) {
+      console.warn("p5.Hands: loadPoseModel() — not a model from savePoseModel().");
+      return;
+    }
+    this._poseExamples = examples.filter(function (ex) {
+      return ex && ex.label !== undefined && Array.isArray(ex.features) && ex.features.length === 42;
+    }).map(function (ex) { return { label: String(ex.label), features: ex.features.slice() }; });
   };
 
-  /** Get the wrist position. */
-  p5.prototype.wristPoint = function (which) {
-    return _getKeypoint(_resolveHand(which), "wrist");
+  // ============================================================
+  //  MATH & UTILITY
+  // ============================================================
+
+  /**
+   * Distance between two hand points.
+   *   handDist("right", "thumb", "right", "index")
+   *   handDist(point1, point2)
+   */
+  Tracker.prototype.handDist = function (a, b, c, d) {
+    if (a && typeof a === "object" && b && typeof b === "object" && c === undefined) {
+      var dd = _dist(a, b); return dd === Infinity ? null : dd;
+    }
+    var p1 = this.getPoint(a, b), p2 = this.getPoint(c, d);
+    var dd2 = _dist(p1, p2);
+    return dd2 === Infinity ? null : dd2;
   };
 
-  /** Center of the palm (average of wrist + finger MCPs). */
-  p5.prototype.palmCenter = function (which) {
-    var hand = _resolveHand(which);
+  /** Approximate hand size (wrist → middle fingertip distance). */
+  Tracker.prototype.handSize = function (which) {
+    var hand = this._resolveHand(which);
     if (!hand || !hand.keypoints) return null;
-    var indices = [KP.wrist, KP.index_finger_mcp, KP.middle_finger_mcp, KP.ring_finger_mcp, KP.pinky_finger_mcp];
-    var sx = 0, sy = 0, n = 0;
-    for (var i = 0; i < indices.length; i++) {
-      var kp = hand.keypoints[indices[i]];
-      if (kp) { sx += kp.x; sy += kp.y; n++; }
+    var d = _dist(hand.keypoints[KP.wrist], hand.keypoints[KP.middle_finger_tip]);
+    return d === Infinity ? null : d;
+  };
+
+  /** Hand rotation in radians (wrist → middle MCP direction). */
+  Tracker.prototype.handAngle = function (which) {
+    var hand = this._resolveHand(which);
+    if (!hand || !hand.keypoints) return null;
+    var w = hand.keypoints[KP.wrist], m = hand.keypoints[KP.middle_finger_mcp];
+    if (!w || !m) return null;
+    return Math.atan2(m.y - w.y, m.x - w.x);
+  };
+
+  /**
+   * Velocity of a keypoint (pixels per frame).
+   * Returns { x, y, speed } or null.
+   *   pointVelocity("right", "wrist")
+   *   pointVelocity("index")   // right hand, index tip
+   */
+  Tracker.prototype.pointVelocity = function (which, name) {
+    if (name === undefined && typeof which === "string" && !/^(left|right|l|r|any|first)$/i.test(which)) {
+      name = which; which = undefined;
     }
-    return n ? { x: sx / n, y: sy / n } : null;
+    name = name || "wrist";
+    var hand = this._resolveHand(which);
+    var curr = _getKeypoint(hand, name);
+    if (!hand) return null;
+    // Compare against the same hand (by id) in the previous frame
+    var prevHand = this._prevHands.find(function (h) { return h.id === hand.id; });
+    var prev = prevHand ? _getKeypoint(prevHand, name) : null;
+    if (!curr || !prev) return null;
+    var vx = curr.x - prev.x, vy = curr.y - prev.y;
+    return { x: vx, y: vy, speed: Math.sqrt(vx * vx + vy * vy) };
   };
 
-  /** Center of all keypoints (hand centroid). */
-  p5.prototype.handCenter = function (which) {
-    var hand = _resolveHand(which);
-    if (!hand || !hand.keypoints || !hand.keypoints.length) return null;
-    var sx = 0, sy = 0;
-    for (var i = 0; i < hand.keypoints.length; i++) {
-      sx += hand.keypoints[i].x; sy += hand.keypoints[i].y;
+  /**
+   * Recent positions of a keypoint, oldest first: [{ x, y, t }, ...]
+   * (t in milliseconds). Keeps the last 120 detection frames by default.
+   *   pointHistory("index")             // right index tip
+   *   pointHistory("left", "wrist", 10) // last 10 positions
+   */
+  Tracker.prototype.pointHistory = function (which, name, count) {
+    if (typeof which === "string" && !/^(left|right|l|r|any|first)$/i.test(which)) {
+      count = name; name = which; which = undefined;
     }
-    return { x: sx / hand.keypoints.length, y: sy / hand.keypoints.length };
+    var hand = this._resolveHand(which);
+    if (!hand) return [];
+    var pts = this._historyOf(hand.id, name || "wrist");
+    return (count ? pts.slice(-count) : pts).map(this._output, this);
   };
 
   /**
-   * Get all keypoints for a specific finger (array of {x, y, name}).
-   *   getFingerPoints("right", "index")
-   *   getFingerPoints("index")
+   * Detect swipe direction based on wrist velocity.
+   * Returns "left", "right", "up", "down", or "none".
    */
-  p5.prototype.getFingerPoints = function (which, finger) {
-    if (finger === undefined && FINGER_NAMES.indexOf(which) !== -1) {
-      finger = which; which = undefined;
+  Tracker.prototype.handSwipe = function (which, minSpeed) {
+    if (typeof which === "number") { minSpeed = which; which = undefined; }
+    minSpeed = minSpeed || 12;
+    var vel = this.pointVelocity(which, "wrist");
+    if (!vel || vel.speed < minSpeed) return "none";
+    if (Math.abs(vel.x) > Math.abs(vel.y)) return vel.x > 0 ? "right" : "left";
+    return vel.y > 0 ? "down" : "up";
+  };
+
+  // ============================================================
+  //  VIDEO FIT — where the video sits on the canvas
+  // ============================================================
+
+  var FIT_MODES = ["stretch", "contain", "cover"];
+
+  function _defaultView() {
+    return { fit: "stretch", zoom: 1, offsetX: 0, offsetY: 0, canvasCoords: false };
+  }
+
+  // Scale and offset that put the video on the canvas:
+  // canvas = video * s + o, for drawing and points alike.
+  Tracker.prototype._fitTransform = function () {
+    var p = this.p, view = this._view;
+    var size = this._sourceSize(), vw = size.width, vh = size.height;
+    if (!p || !p.width || !p.height || !vw || !vh) {
+      return { sx: 1, sy: 1, ox: 0, oy: 0, w: vw, h: vh };
     }
-    var hand = _resolveHand(which);
-    if (!hand || !hand.keypoints) return [];
-    var conn = FINGER_CONNECTIONS[finger];
-    if (!conn) return [];
-    return conn.slice(1).map(function (idx) { return hand.keypoints[idx]; }).filter(Boolean);
+    var sx = p.width / vw, sy = p.height / vh;
+    if (view.fit === "contain") sx = sy = Math.min(sx, sy);
+    else if (view.fit === "cover") sx = sy = Math.max(sx, sy);
+    sx *= view.zoom; sy *= view.zoom;
+    return {
+      sx: sx, sy: sy,
+      ox: (p.width - vw * sx) / 2 + view.offsetX,
+      oy: (p.height - vh * sy) / 2 + view.offsetY,
+      w: vw * sx, h: vh * sy
+    };
+  };
+
+  // Copy of a point (or keypoint) moved to canvas space; other fields are kept.
+  function _applyFit(pt, t) {
+    if (!pt) return pt;
+    return Object.assign({}, pt, { x: pt.x * t.sx + t.ox, y: pt.y * t.sy + t.oy });
+  }
+
+  // What the point getters hand out: canvas space when canvasCoords is on.
+  Tracker.prototype._output = function (pt) {
+    return this._view.canvasCoords ? this.mapHandPoint(pt) : pt;
+  };
+
+  // All keypoints of a hand in canvas space, for the drawing helpers.
+  Tracker.prototype._canvasKeypoints = function (hand) {
+    var t = this._fitTransform();
+    return hand.keypoints.map(function (kp) { return _applyFit(kp, t); });
+  };
+
+  /**
+   * Choose how the video fits the canvas. drawVideo(), drawHands() and the
+   * other drawing helpers, mapHandPoint() and (with canvasCoords) the point
+   * getters all follow it, so hands always line up with the picture.
+   *   setHandsView({ fit: "cover" })               // fill the canvas, crop the edges
+   *   setHandsView({ fit: "contain" })             // whole video, letterboxed
+   *   setHandsView({ zoom: 1.5, offsetX: -40 })
+   *   setHandsView({ canvasCoords: true })         // getters return canvas positions
+   *
+   * Options (only the ones you pass change):
+   *   fit          — "stretch" (default), "contain" or "cover"
+   *   zoom         — extra scale around the canvas center (default 1)
+   *   offsetX/Y    — shift in canvas pixels (default 0)
+   *   canvasCoords — getPoint(), fingerTip(), pinchPoint(), ... return canvas
+   *                  coordinates instead of video ones (default false)
+   */
+  Tracker.prototype.setHandsView = function (options) {
+    options = options || {};
+    var view = this._view;
+    if (options.fit !== undefined) {
+      if (FIT_MODES.indexOf(options.fit) === -1) {
+        console.warn("p5.Hands: unknown fit \"" + options.fit + "\" — use " + FIT_MODES.join(", ") + ".");
+      } else {
+        view.fit = options.fit;
+      }
+    }
+    if (typeof options.zoom === "number" && options.zoom > 0) view.zoom = options.zoom;
+    if (typeof options.offsetX === "number") view.offsetX = options.offsetX;
+    if (typeof options.offsetY === "number") view.offsetY = options.offsetY;
+    if (options.canvasCoords !== undefined) view.canvasCoords = !!options.canvasCoords;
+  };
+
+  /**
+   * The current view, plus where the video lands on the canvas:
+   * { fit, zoom, offsetX, offsetY, canvasCoords, x, y, width, height }
+   */
+  Tracker.prototype.getHandsView = function () {
+    var t = this._fitTransform();
+    return Object.assign({}, this._view, { x: t.ox, y: t.oy, width: t.w, height: t.h });
+  };
+
+  /**
+   * Map a point from video coordinates to canvas coordinates, following
+   * setHandsView(). Not needed with canvasCoords: true — the getters
+   * already did it.
+   */
+  Tracker.prototype.mapHandPoint = function (pt) {
+    return _applyFit(pt, this._fitTransform());
+  };
+
+  /**
+   * The other way round: canvas coordinates (like mouseX, mouseY) to video ones.
+   *   let pt = unmapHandPoint({ x: mouseX, y: mouseY });
+   */
+  Tracker.prototype.unmapHandPoint = function (pt) {
+    if (!pt) return pt;
+    var t = this._fitTransform();
+    return Object.assign({}, pt, { x: (pt.x - t.ox) / t.sx, y: (pt.y - t.oy) / t.sy });
   };
 
   // ============================================================
-  //  FINGER STATE DETECTION
+  //  HAND WIDGETS — touchless buttons, toggles, sliders and menus
   // ============================================================
+  // Widgets are plain objects in canvas coordinates; change their fields
+  // (x, y, label, visible, ...) whenever you like. Each hand's fingertip is
+  // a pointer: hovering focuses a widget, then a dwell or a pinch clicks it.
+
+  var WIDGET_COLORS = {
+    base: [40, 40, 50, 200], hover: [70, 70, 95, 220],
+    active: [100, 200, 255], text: [255, 255, 255]
+  };
+
+  // Fields every widget has; `options` can set any of them.
+  function _makeWidget(type, options, fields) {
+    return Object.assign({
+      type: type,
+      x: 0, y: 0, w: 160, h: 60,
+      label: "",
+      visible: true,
+      enabled: true,
+      click: null,       // "dwell", "pinch" or "both" — null uses setHandWidgetOptions()
+      dwellTime: null,   // ms — null uses setHandWidgetOptions()
+      which: null,       // only this hand may use it: "left" or "right"
+      hovered: false,    // a fingertip is on it
+      pressed: false,    // held with a pinch (or dwelled on, for sliders)
+      progress: 0,       // dwell progress, 0–1
+      pinch: 0,          // pinchAmount() of the hand hovering it
+      heldBy: null       // id of the hand holding it
+    }, fields, options);
+  }
+
+  // Where a point hits a widget: -1 = miss, otherwise 0 (or the item index for menus).
+  function _widgetHit(w, pt) {
+    if (w.type !== "menu") {
+      return pt.x >= w.x && pt.x <= w.x + w.w && pt.y >= w.y && pt.y <= w.y + w.h ? 0 : -1;
+    }
+    var dx = pt.x - w.x, dy = pt.y - w.y, d = Math.sqrt(dx * dx + dy * dy);
+    if (!w.items.length || d < w.r * 0.25 || d > w.r) return -1;
+    // First item at the top, then clockwise
+    var angle = (Math.atan2(dy, dx) + Math.PI / 2 + 2 * Math.PI) % (2 * Math.PI);
+    return Math.min(w.items.length - 1, Math.floor(angle / (2 * Math.PI / w.items.length)));
+  }
+
+  Tracker.prototype._addWidget = function (w) {
+    this._widgets.push(w);
+    return w;
+  };
 
   /**
-   * Is a finger extended (up)?
-   * Uses distance-from-wrist comparison — works regardless of hand rotation.
-   *   isFingerUp("right", "index")
-   *   isFingerUp("index")
+   * A button, clicked by dwelling on it or pinching over it.
+   *   let play = createHandButton({ x: 20, y: 20, label: "Play", onClick: function (e) { ... } });
+   * Options: x, y, w, h, label, click, dwellTime, which, onClick(e) — see the README.
    */
-  p5.prototype.isFingerUp = function (which, finger) {
-    if (finger === undefined && FINGER_NAMES.indexOf(which) !== -1) {
-      finger = which; which = undefined;
+  Tracker.prototype.createHandButton = function (options) {
+    return this._addWidget(_makeWidget("button", options, { onClick: null }));
+  };
+
+  /**
+   * A toggle: every click flips `value`.
+   *   createHandToggle({ x: 20, y: 100, label: "Sound", value: true, onChange: function (e) { ... } });
+   */
+  Tracker.prototype.createHandToggle = function (options) {
+    return this._addWidget(_makeWidget("toggle", options, { value: false, onChange: null }));
+  };
+
+  /**
+   * A slider: pinch it and move, or dwell on it and it follows your
+   * fingertip. Vertical when taller than wide.
+   *   createHandSlider({ x: 20, y: 200, w: 300, min: 0, max: 100, value: 50, onChange: function (e) { ... } });
+   */
+  Tracker.prototype.createHandSlider = function (options) {
+    var w = _makeWidget("slider", options, { h: 40, min: 0, max: 1, step: 0, value: null, onChange: null });
+    if (w.value === null) w.value = w.min;
+    return this._addWidget(w);
+  };
+
+  /**
+   * A radial menu centered on x, y. The first item is at the top.
+   *   createHandMenu({ x: 320, y: 240, r: 120, items: ["Red", "Green", "Blue"],
+   *                    onSelect: function (e) { console.log(e.item, e.index); } });
+   */
+  Tracker.prototype.createHandMenu = function (options) {
+    return this._addWidget(_makeWidget("menu", options, { r: 100, items: [], selected: -1, hoveredItem: -1, onSelect: null }));
+  };
+
+  /** Remove a widget, or all of them with no argument. */
+  Tracker.prototype.removeHandWidget = function (widget) {
+    this._widgets = widget === undefined ? [] : this._widgets.filter(function (w) { return w !== widget; });
+  };
+
+  /**
+   * Defaults for every widget.
+   *   finger    — fingertip that points (default "index")
+   *   click     — "dwell", "pinch" or "both" (default "both")
+   *   dwellTime — ms to hover before a dwell click (default 1000)
+   *   cursor    — drawHandWidgets() draws the fingertip pointers (default true)
+   */
+  Tracker.prototype.setHandWidgetOptions = function (options) {
+    Object.assign(this._widgetOptions, options);
+  };
+
+  // One detection frame of widget interaction: find what each hand points
+  // at, then run dwell and pinch clicks.
+  Tracker.prototype._updateWidgets = function () {
+    var widgets = this._widgets, pointers = this._widgetPointers;
+    if (!widgets.length && !Object.keys(pointers).length) return;
+    var self = this, now = _now(), opts = this._widgetOptions;
+    var hands = this._source(), next = {};
+    var i, id;
+
+    widgets.forEach(function (w) {
+      w.hovered = false; w.pressed = false; w.progress = 0; w.pinch = 0; w.heldBy = null;
+      if (w.type === "menu") w.hoveredItem = -1;
+    });
+    // Still-visible hands keep hold of their widgets; others let go
+    var present = {};
+    hands.forEach(function (h) { present[h.id] = true; });
+    for (id in pointers) {
+      var old = pointers[id];
+      if (old.focus && (widgets.indexOf(old.focus) === -1 || !old.focus.visible || !old.focus.enabled)) {
+        old.focus = null; old.held = false;
+      }
+      if (present[id] && old.held) old.focus.heldBy = old.hand.id;
     }
-    var hand = _resolveHand(which);
-    if (!hand || !hand.keypoints) return false;
-    var tip = _getKeypoint(hand, TIP_NAMES[finger]);
-    var pip = _getKeypoint(hand, PIP_NAMES[finger]);
-    if (!tip || !pip) return false;
-    // Thumb folds across the palm (toward index base), not toward the wrist,
-    // so use the index finger MCP as the reference point instead of the wrist.
-    if (finger === "thumb") {
-      var ref = hand.keypoints[KP.index_finger_mcp];
-      if (!ref) return false;
-      return _dist(tip, ref) > _dist(pip, ref);
+
+    for (i = 0; i < hands.length; i++) {
+      var hand = hands[i];
+      var tip = this.mapHandPoint(_getKeypoint(hand, opts.finger));
+      if (!tip) continue;
+      var prev = pointers[hand.id] || { focus: null, item: -1, since: now, dwellDone: false, pinching: false, held: false };
+      var ptr = {
+        hand: hand, x: tip.x, y: tip.y,
+        focus: prev.focus, item: prev.item, since: prev.since, dwellDone: prev.dwellDone,
+        held: prev.held, progress: 0,
+        pinching: GESTURE_PREDICATES.pinch(this, hand, prev.pinching, { hysteresis: 10 })
+      };
+      // The top-most widget under the fingertip that this hand may use
+      var hit = null, item = -1;
+      for (var j = widgets.length - 1; j >= 0; j--) {
+        var w = widgets[j];
+        if (!w.visible || !w.enabled || !_handMatches(hand, w.which)) continue;
+        if (w.heldBy !== null && w.heldBy !== hand.id) continue;
+        var idx = _widgetHit(w, tip);
+        if (idx !== -1) { hit = w; item = idx; break; }
+      }
+      // Focus freezes while pinching — closing the pinch pulls the fingertip along
+      if (!ptr.held && !ptr.pinching && (hit !== ptr.focus || item !== ptr.item)) {
+        ptr.focus = hit; ptr.item = item; ptr.since = now; ptr.dwellDone = false;
+      }
+      if (ptr.focus) this._widgetPointer(ptr, prev.pinching, now);
+      next[hand.id] = ptr;
+    }
+    this._widgetPointers = next;
+  };
+
+  // Dwell and pinch clicks for one hand's pointer on its focused widget.
+  Tracker.prototype._widgetPointer = function (ptr, wasPinching, now) {
+    var w = ptr.focus, opts = this._widgetOptions;
+    var click = w.click || opts.click;
+    var dwellTime = w.dwellTime || opts.dwellTime;
+    w.hovered = true;
+    w.pinch = Math.max(w.pinch, this.pinchAmount(ptr.hand));
+    if (w.type === "menu") w.hoveredItem = ptr.item;
+
+    if (click !== "dwell") {
+      if (ptr.pinching && !wasPinching && !ptr.held) {
+        ptr.held = true;
+      } else if (!ptr.pinching && ptr.held) {
+        ptr.held = false;
+        // One click per visit: no dwell click right after a pinch click
+        if (w.type === "slider") ptr.since = now;
+        else { ptr.dwellDone = true; this._activateWidget(w, ptr); }
+      }
+    }
+    if (click !== "pinch" && !ptr.held && !ptr.dwellDone) {
+      ptr.progress = Math.min(1, (now - ptr.since) / dwellTime);
+      w.progress = Math.max(w.progress, ptr.progress);
+      if (ptr.progress >= 1) {
+        ptr.dwellDone = true;
+        if (w.type !== "slider") this._activateWidget(w, ptr);
+      }
+    }
+
+    if (ptr.held) w.heldBy = ptr.hand.id;
+    // A slider follows the fingertip while pinched, or after a dwell
+    var dragging = w.type === "slider" && (ptr.held || ptr.dwellDone);
+    w.pressed = ptr.held || dragging;
+    if (dragging) {
+      var vertical = w.h > w.w;
+      var t = vertical ? 1 - (ptr.y - w.y) / w.h : (ptr.x - w.x) / w.w;
+      var value = w.min + Math.max(0, Math.min(1, t)) * (w.max - w.min);
+      if (w.step) value = w.min + Math.round((value - w.min) / w.step) * w.step;
+      if (value !== w.value) {
+        w.value = value;
+        if (w.onChange) w.onChange({ widget: w, hand: ptr.hand, value: value });
+      }
+    }
+  };
+
+  // A click on a button, toggle or menu.
+  Tracker.prototype._activateWidget = function (w, ptr) {
+    var e = { widget: w, hand: ptr.hand };
+    if (w.type === "button") {
+      if (w.onClick) w.onClick(e);
+    } else if (w.type === "toggle") {
+      w.value = !w.value;
+      e.value = w.value;
+      if (w.onChange) w.onChange(e);
+    } else if (w.type === "menu" && ptr.item !== -1) {
+      w.selected = ptr.item;
+      e.index = ptr.item;
+      e.item = w.items[ptr.item];
+      if (w.onSelect) w.onSelect(e);
     }
-    var wrist = hand.keypoints[KP.wrist];
-    if (!wrist) return false;
-    return _dist(tip, wrist) > _dist(pip, wrist);
   };
 
   /**
-   * Which fingers are up?
-   * Returns { thumb: bool, index: bool, middle: bool, ring: bool, pinky: bool }
+   * Draw every visible widget, plus a pointer with a dwell progress ring at
+   * each fingertip. Call in draw().
    */
-  p5.prototype.fingersUp = function (which) {
-    var result = {};
-    for (var i = 0; i < FINGER_NAMES.length; i++) {
-      result[FINGER_NAMES[i]] = this.isFingerUp(which, FINGER_NAMES[i]);
+  Tracker.prototype.drawHandWidgets = function () {
+    var p = this.p;
+    if (!p) return;
+    this._beginDraw();
+    p.textAlign(p.CENTER, p.CENTER);
+    p.textSize(16);
+    for (var i = 0; i < this._widgets.length; i++) {
+      if (this._widgets[i].visible) this._drawWidget(this._widgets[i]);
     }
-    return result;
+    if (this._widgetOptions.cursor) {
+      for (var id in this._widgetPointers) {
+        var ptr = this._widgetPointers[id];
+        p.noStroke();
+        p.fill(255, 255, 255, 200);
+        p.circle(ptr.x, ptr.y, 10);
+        if (ptr.progress > 0 && ptr.progress < 1) {
+          p.noFill();
+          p.strokeWeight(4);
+          p.stroke(255, 255, 255, 60);
+          p.circle(ptr.x, ptr.y, 36);
+          p.stroke(WIDGET_COLORS.active[0], WIDGET_COLORS.active[1], WIDGET_COLORS.active[2]);
+          p.arc(ptr.x, ptr.y, 36, 36, _toAngleMode(p, -Math.PI / 2), _toAngleMode(p, -Math.PI / 2 + 2 * Math.PI * ptr.progress));
+        }
+      }
+    }
+    p.pop();
   };
 
-  /** Count how many fingers are extended (0–5). */
-  p5.prototype.countFingers = function (which) {
-    var n = 0;
-    for (var i = 0; i < FINGER_NAMES.length; i++) {
-      if (this.isFingerUp(which, FINGER_NAMES[i])) n++;
+  Tracker.prototype._drawWidget = function (w) {
+    var p = this.p, c = WIDGET_COLORS;
+    var bg = w.hovered ? c.hover : c.base;
+    var alpha = w.enabled ? 1 : 0.4;
+    p.strokeWeight(2);
+    p.stroke(255, 255, 255, (w.hovered ? 160 : 60) * alpha);
+    p.fill(bg[0], bg[1], bg[2], bg[3] * alpha);
+
+    if (w.type === "menu") {
+      var n = w.items.length, seg = 2 * Math.PI / (n || 1);
+      for (var i = 0; i < n; i++) {
+        var start = -Math.PI / 2 + i * seg, mid = start + seg / 2;
+        var col = i === w.selected ? c.active : i === w.hoveredItem ? c.hover : c.base;
+        p.stroke(0, 0, 0, 120);
+        p.fill(col[0], col[1], col[2], (col[3] !== undefined ? col[3] : 220) * alpha);
+        p.arc(w.x, w.y, w.r * 2, w.r * 2, _toAngleMode(p, start), _toAngleMode(p, start + seg), p.PIE);
+        p.noStroke();
+        p.fill(c.text[0], c.text[1], c.text[2], 255 * alpha);
+        p.text(String(w.items[i]), w.x + Math.cos(mid) * w.r * 0.62, w.y + Math.sin(mid) * w.r * 0.62);
+      }
+      p.stroke(0, 0, 0, 120);
+      p.fill(c.base[0], c.base[1], c.base[2], 255 * alpha);
+      p.circle(w.x, w.y, w.r * 0.5);
+      return;
+    }
+
+    if (w.type === "slider") {
+      var vertical = w.h > w.w;
+      var t = w.max === w.min ? 0 : (w.value - w.min) / (w.max - w.min);
+      p.rect(w.x, w.y, w.w, w.h, Math.min(w.w, w.h) / 2);
+      p.noStroke();
+      p.fill(c.active[0], c.active[1], c.active[2], 200 * alpha);
+      var kx = vertical ? w.x + w.w / 2 : w.x + t * w.w;
+      var ky = vertical ? w.y + (1 - t) * w.h : w.y + w.h / 2;
+      if (vertical) p.rect(w.x, ky, w.w, w.y + w.h - ky, w.w / 2);
+      else p.rect(w.x, w.y, kx - w.x, w.h, w.h / 2);
+      p.fill(255, 255, 255, 255 * alpha);
+      p.circle(kx, ky, Math.min(w.w, w.h) * (w.pressed ? 1.1 : 0.9));
+      if (w.label && _canDrawText(p)) {
+        p.fill(c.text[0], c.text[1], c.text[2], 255 * alpha);
+        p.textAlign(p.LEFT, p.BOTTOM);
+        p.text(w.label, w.x, w.y - 6);
+        p.textAlign(p.CENTER, p.CENTER);
+      }
+      return;
+    }
+
+    // Buttons and toggles: the face darkens as the pinch closes
+    p.rect(w.x, w.y, w.w, w.h, 12);
+    var press = w.pressed ? 1 : w.pinch * 0.6;
+    if (press > 0) {
+      p.noStroke();
+      p.fill(c.active[0], c.active[1], c.active[2], 120 * press * alpha);
+      p.rect(w.x, w.y, w.w, w.h, 12);
+    }
+    p.noStroke();
+    p.fill(c.text[0], c.text[1], c.text[2], 255 * alpha);
+    var canText = _canDrawText(p);
+    if (w.type === "toggle") {
+      var d = w.h * 0.45;
+      if (canText) p.text(w.label, w.x + (w.w - w.h * 0.6) / 2, w.y + w.h / 2);
+      p.fill(w.value ? c.active[0] : 90, w.value ? c.active[1] : 90, w.value ? c.active[2] : 100, 255 * alpha);
+      p.circle(w.x + w.w - w.h / 2, w.y + w.h / 2, d);
+    } else if (canText) {
+      p.text(w.label, w.x + w.w / 2, w.y + w.h / 2);
     }
-    return n;
   };
 
   // ============================================================
-  //  GESTURE DETECTION
+  //  HANDS AS MOUSE — drive an existing mouse sketch with a hand
   // ============================================================
 
-  /** Is the hand pinching? (thumb + index close together) */
-  p5.prototype.isPinching = function (which, threshold) {
-    if (typeof which === "number") { threshold = which; which = undefined; }
-    threshold = threshold || 40;
-    var hand = _resolveHand(which);
-    return _dist(_getKeypoint(hand, "thumb_tip"), _getKeypoint(hand, "index_finger_tip")) < threshold;
-  };
+  // Set a p5 variable the way p5 does, so global-mode sketches see it too.
+  function _setP5(p, name, value) {
+    if (p._setProperty) p._setProperty(name, value);
+    else p[name] = value;
+  }
 
-  /** Pinch amount: 0 = open, 1 = fully pinched. */
-  p5.prototype.pinchAmount = function (which, min, max) {
-    if (typeof which === "number") { max = min; min = which; which = undefined; }
-    min = min || 15; max = max || 100;
-    var hand = _resolveHand(which);
-    var d = _dist(_getKeypoint(hand, "thumb_tip"), _getKeypoint(hand, "index_finger_tip"));
-    if (d === Infinity) return 0;
-    return Math.max(0, Math.min(1, (max - d) / (max - min)));
+  /**
+   * Let a fingertip be the mouse: mouseX/mouseY follow it, the click gesture
+   * presses the button, and mousePressed(), mouseDragged(), mouseMoved(),
+   * mouseReleased() and mouseClicked() run as usual — so mouse-based
+   * sketches work without changes.
+   *   handsAsMouse();
+   *   handsAsMouse({ finger: "pinch", which: "right" });
+   *
+   * Options:
+   *   finger        — fingertip that points, or "pinch" for the point
+   *                   between thumb and index, which holds still better while
+   *                   pinching (default "index")
+   *   clickGesture  — gesture name, or function (hand) → true/false, that
+   *                   holds the button down; false for moving only (default "pinch")
+   *   which         — which hand drives the mouse (default: the first one seen)
+   *   pointerEvents — also dispatch pointerdown/move/up on the canvas, for
+   *                   DOM listeners and libraries (default false)
+   */
+  Tracker.prototype.handsAsMouse = function (options) {
+    options = options || {};
+    this.stopHandsAsMouse();
+    this._mouse = {
+      finger: options.finger || "index",
+      clickGesture: options.clickGesture === undefined ? "pinch" : options.clickGesture,
+      which: options.which || "any",
+      pointerEvents: !!options.pointerEvents,
+      handId: null,
+      x: null,
+      y: null,
+      pressed: false
+    };
   };
 
-  /** Midpoint between thumb tip and index tip — great for dragging things. */
-  p5.prototype.pinchPoint = function (which) {
-    var hand = _resolveHand(which);
-    var a = _getKeypoint(hand, "thumb_tip"), b = _getKeypoint(hand, "index_finger_tip");
-    if (!a || !b) return null;
-    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  /** Give the mouse back. Releases the button if a hand was holding it. */
+  Tracker.prototype.stopHandsAsMouse = function () {
+    var m = this._mouse;
+    if (!m) return;
+    if (m.pressed) this._mouseButton(m, false);
+    this._mouse = null;
   };
 
-  /** Is the hand making a fist? */
-  p5.prototype.isGrabbing = function (which, threshold) {
-    if (typeof which === "number") { threshold = which; which = undefined; }
-    threshold = threshold || 90;
-    var hand = _resolveHand(which);
-    if (!hand || !hand.keypoints) return false;
-    var wrist = hand.keypoints[KP.wrist];
-    if (!wrist) return false;
-    var total = 0, n = 0;
-    for (var i = 0; i < FINGER_NAMES.length; i++) {
-      var tip = _getKeypoint(hand, TIP_NAMES[FINGER_NAMES[i]]);
-      if (tip) { total += _dist(tip, wrist); n++; }
+  /** Is a hand driving the mouse? */
+  Tracker.prototype.isHandsAsMouse = function () { return this._mouse !== null; };
+
+  // One detection frame of mouse emulation.
+  Tracker.prototype._updateMouse = function () {
+    var m = this._mouse, p = this.p;
+    if (!m || !p) return;
+    var hands = this._source();
+    // Stay with the same hand while it's visible
+    var hand = hands.find(function (h) { return h.id === m.handId; }) ||
+      hands.find(function (h) { return _handMatches(h, m.which); }) || null;
+    if (!hand) {
+      if (m.pressed) this._mouseButton(m, false);
+      m.handId = null;
+      return;
     }
-    return n >= 3 && (total / n) < threshold;
-  };
+    m.handId = hand.id;
 
-  /** All fingers extended? */
-  p5.prototype.isOpenHand = function (which) { return this.countFingers(which) >= 5; };
+    var pt = this.mapHandPoint(m.finger === "pinch" ? _pinchMid(hand) : _getKeypoint(hand, m.finger));
+    if (pt && (pt.x !== m.x || pt.y !== m.y)) {
+      var moved = m.x !== null;
+      // The simulation already follows the real mouse — moving it again
+      // from the simulated fingertip would chase its own tail.
+      if (!this._simulation) {
+        if (moved) { _setP5(p, "movedX", pt.x - m.x); _setP5(p, "movedY", pt.y - m.y); }
+        _setP5(p, "mouseX", pt.x);
+        _setP5(p, "mouseY", pt.y);
+      }
+      m.x = pt.x; m.y = pt.y;
+      this._dispatchPointer(m, "pointermove");
+      if (moved) this._mouseCallback(m.pressed ? "mouseDragged" : "mouseMoved");
+    }
 
-  /** Only index finger up? */
-  p5.prototype.isPointing = function (which) {
-    var f = this.fingersUp(which);
-    return f.index && !f.middle && !f.ring && !f.pinky;
+    var gesture = m.clickGesture, down = false;
+    if (typeof gesture === "function") down = !!gesture(hand);
+    else if (GESTURE_PREDICATES[gesture]) down = GESTURE_PREDICATES[gesture](this, hand, m.pressed, { hysteresis: 10 });
+    else if (gesture) down = this.isGesture(gesture, hand);
+    if (down !== m.pressed) this._mouseButton(m, down);
   };
 
-  /** Index + middle up, rest down? */
-  p5.prototype.isPeace = function (which) {
-    var f = this.fingersUp(which);
-    return f.index && f.middle && !f.ring && !f.pinky;
+  // Press or release the emulated left button.
+  Tracker.prototype._mouseButton = function (m, down) {
+    var p = this.p;
+    m.pressed = down;
+    _setP5(p, "mouseIsPressed", down);
+    if (down) _setP5(p, "mouseButton", p.LEFT);
+    this._dispatchPointer(m, down ? "pointerdown" : "pointerup");
+    this._mouseCallback(down ? "mousePressed" : "mouseReleased");
+    if (!down) this._mouseCallback("mouseClicked");
   };
 
-  /** Only thumb up? */
-  p5.prototype.isThumbsUp = function (which) {
-    var f = this.fingersUp(which);
-    return f.thumb && !f.index && !f.middle && !f.ring && !f.pinky;
+  // Run the sketch's mouse callback, wherever p5 would look for it.
+  Tracker.prototype._mouseCallback = function (name) {
+    var p = this.p;
+    // p5.js 2 handles pointer events itself, so the dispatched ones already
+    // reach its callbacks.
+    if (this._mouse && this._mouse.pointerEvents && parseInt(p5.VERSION, 10) >= 2) return;
+    var context = p._isGlobal && typeof window !== "undefined" ? window : p;
+    if (typeof context[name] === "function") context[name]({ type: name, fromHands: true });
   };
 
-  /** Index + pinky up, middle + ring down? */
-  p5.prototype.isRockOn = function (which) {
-    var f = this.fingersUp(which);
-    return f.index && f.pinky && !f.middle && !f.ring;
+  Tracker.prototype._dispatchPointer = function (m, type) {
+    var p = this.p, canvas = p.canvas || (p._renderer && p._renderer.elt);
+    if (!m.pointerEvents || !canvas || typeof PointerEvent === "undefined" || m.x === null) return;
+    var rect = canvas.getBoundingClientRect();
+    canvas.dispatchEvent(new PointerEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      pointerId: 1000 + m.handId,
+      pointerType: "touch",
+      isPrimary: true,
+      button: type === "pointermove" ? -1 : 0,
+      buttons: m.pressed ? 1 : 0,
+      clientX: rect.left + m.x * rect.width / p.width,
+      clientY: rect.top + m.y * rect.height / p.height
+    }));
   };
 
-  /** Thumb + pinky up, rest down (hang loose / shaka). */
-  p5.prototype.isShaka = function (which) {
-    var f = this.fingersUp(which);
-    return f.thumb && f.pinky && !f.index && !f.middle && !f.ring;
-  };
+  // ============================================================
+  //  GRABBABLE OBJECTS — pinch drag-and-drop
+  // ============================================================
 
-  /** Middle + ring + pinky down, thumb + index up (L shape / gun). */
-  p5.prototype.isGun = function (which) {
-    var f = this.fingersUp(which);
-    return f.thumb && f.index && !f.middle && !f.ring && !f.pinky;
-  };
+  function _grabShape(obj) {
+    if (obj.points) return "polygon";
+    if (obj.w !== undefined && obj.h !== undefined) return "rect";
+    return "circle";
+  }
 
-  /** Index + middle + ring up, thumb + pinky down (three / OK scout). */
-  p5.prototype.isThree = function (which) {
-    var f = this.fingersUp(which);
-    return f.index && f.middle && f.ring && !f.pinky;
-  };
+  // Is pt inside the object? Circles use x, y (center) and r; rects x, y
+  // (top-left), w and h; polygons points relative to x, y.
+  function _grabHit(obj, shape, pt) {
+    var dx = pt.x - obj.x, dy = pt.y - obj.y;
+    if (shape === "rect") return dx >= 0 && dy >= 0 && dx <= obj.w && dy <= obj.h;
+    if (shape === "polygon") {
+      var pts = obj.points, inside = false;
+      for (var i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+        if ((pts[i].y > dy) !== (pts[j].y > dy) &&
+            dx < (pts[j].x - pts[i].x) * (dy - pts[i].y) / (pts[j].y - pts[i].y) + pts[i].x) {
+          inside = !inside;
+        }
+      }
+      return inside;
+    }
+    var r = obj.r !== undefined ? obj.r : 30;
+    return dx * dx + dy * dy <= r * r;
+  }
 
-  /** Show a specific number of fingers? Ignores thumb for 1-4, includes for 5. */
-  p5.prototype.isShowingNumber = function (which, num) {
-    if (typeof which === "number") { num = which; which = undefined; }
-    var f = this.fingersUp(which);
-    var fingers = [f.index, f.middle, f.ring, f.pinky];
-    var count = fingers.filter(Boolean).length;
-    if (num === 5) return count === 4 && f.thumb;
-    if (num === 0) return count === 0 && !f.thumb;
-    if (num === 1) return f.index && !f.middle && !f.ring && !f.pinky && !f.thumb;
-    return count === num && !f.thumb;
-  };
+  // The size fields a two-hand stretch scales, as they are now.
+  function _grabSize(obj) {
+    return {
+      r: obj.r, w: obj.w, h: obj.h,
+      points: obj.points ? obj.points.map(function (pt) { return { x: pt.x, y: pt.y }; }) : null
+    };
+  }
 
-  // ============================================================
-  //  MATH & UTILITY
-  // ============================================================
+  function _setGrabSize(obj, size, k) {
+    if (size.r !== undefined) obj.r = size.r * k;
+    if (size.w !== undefined) obj.w = size.w * k;
+    if (size.h !== undefined) obj.h = size.h * k;
+    if (size.points) {
+      size.points.forEach(function (pt, i) { obj.points[i].x = pt.x * k; obj.points[i].y = pt.y * k; });
+    }
+  }
 
   /**
-   * Distance between two hand points.
-   *   handDist("right", "thumb", "right", "index")
-   *   handDist(point1, point2)
+   * Let hands pick up an object by pinching on it. The object is yours —
+   * p5.Hands only moves its x, y (and, when stretched with two hands, its
+   * r, w, h or points). Draw it however you like.
+   *   let ball = makeGrabbable({ x: 200, y: 200, r: 40 });
+   *   function draw() { circle(ball.x, ball.y, ball.r * 2); }
+   *
+   * Options:
+   *   shape    — "circle" (x, y, r), "rect" (x, y, w, h) or "polygon"
+   *              (points around x, y); guessed from the object's fields
+   *   which    — only this hand can grab it ("left" / "right")
+   *   throw    — keep moving after release, at the hand's speed (default true)
+   *   friction — fraction of its speed a thrown object keeps every 1/60 s (default 0.95)
+   *   scale    — a second hand pinching it stretches it (default true)
+   *   onGrab(e), onRelease(e) — e is { object, hand }; onRelease adds vx, vy
    */
-  p5.prototype.handDist = function (a, b, c, d) {
-    if (a && typeof a === "object" && b && typeof b === "object" && c === undefined) {
-      var dd = _dist(a, b); return dd === Infinity ? null : dd;
-    }
-    var p1 = this.getPoint(a, b), p2 = this.getPoint(c, d);
-    var dd2 = _dist(p1, p2);
-    return dd2 === Infinity ? null : dd2;
+  Tracker.prototype.makeGrabbable = function (obj, options) {
+    options = options || {};
+    this.removeGrabbable(obj);
+    this._grabbables.push({
+      obj: obj,
+      shape: options.shape || _grabShape(obj),
+      which: options.which,
+      throwable: options.throw !== false,
+      friction: options.friction !== undefined ? options.friction : 0.95,
+      scalable: options.scale !== false,
+      onGrab: options.onGrab || null,
+      onRelease: options.onRelease || null,
+      holders: [],
+      base: null,
+      vx: 0,
+      vy: 0
+    });
+    return obj;
   };
 
-  /** Approximate hand size (wrist → middle fingertip distance). */
-  p5.prototype.handSize = function (which) {
-    var hand = _resolveHand(which);
-    if (!hand || !hand.keypoints) return null;
-    var d = _dist(hand.keypoints[KP.wrist], hand.keypoints[KP.middle_finger_tip]);
-    return d === Infinity ? null : d;
+  /** Stop an object being grabbable, or all of them with no argument. */
+  Tracker.prototype.removeGrabbable = function (obj) {
+    var self = this;
+    this._grabbables = this._grabbables.filter(function (item) {
+      if (obj !== undefined && item.obj !== obj) return true;
+      item.holders.forEach(function (id) {
+        if (self._grabPointers[id]) self._grabPointers[id].item = null;
+      });
+      return false;
+    });
   };
 
-  /** Hand rotation in radians (wrist → middle MCP direction). */
-  p5.prototype.handAngle = function (which) {
-    var hand = _resolveHand(which);
-    if (!hand || !hand.keypoints) return null;
-    var w = hand.keypoints[KP.wrist], m = hand.keypoints[KP.middle_finger_mcp];
-    if (!w || !m) return null;
-    return Math.atan2(m.y - w.y, m.x - w.x);
+  /** The hand holding this object, or null. */
+  Tracker.prototype.grabbedBy = function (obj) {
+    var item = this._grabbables.find(function (it) { return it.obj === obj; });
+    if (!item || !item.holders.length) return null;
+    var ptr = this._grabPointers[item.holders[0]];
+    return ptr ? ptr.hand : null;
   };
 
-  /**
-   * Velocity of a keypoint (pixels per frame).
-   * Returns { x, y, speed } or null.
-   *   pointVelocity("right", "wrist")
-   *   pointVelocity("index")   // right hand, index tip
-   */
-  p5.prototype.pointVelocity = function (which, name) {
-    if (name === undefined && typeof which === "string" && !/^(left|right|l|r|any|first)$/i.test(which)) {
-      name = which; which = undefined;
-    }
-    name = name || "wrist";
-    var hand = _resolveHand(which);
-    var curr = _getKeypoint(hand, name);
-    // Use the actual resolved hand's side to find the matching previous-frame hand
-    var wanted = hand ? hand.handedness : "Right";
-    var prevHand = _prevHands.find(function (h) { return h.handedness === wanted; });
-    var prev = prevHand ? _getKeypoint(prevHand, name) : null;
-    if (!curr || !prev) return null;
-    var vx = curr.x - prev.x, vy = curr.y - prev.y;
-    return { x: vx, y: vy, speed: Math.sqrt(vx * vx + vy * vy) };
+  /** The object a hand is holding, or null. */
+  Tracker.prototype.grabbedObject = function (which) {
+    var hand = this._resolveHand(which);
+    var ptr = hand && this._grabPointers[hand.id];
+    return ptr && ptr.item ? ptr.item.obj : null;
   };
 
-  /**
-   * Detect swipe direction based on wrist velocity.
-   * Returns "left", "right", "up", "down", or "none".
-   */
-  p5.prototype.handSwipe = function (which, minSpeed) {
-    if (typeof which === "number") { minSpeed = which; which = undefined; }
-    minSpeed = minSpeed || 12;
-    var vel = this.pointVelocity(which, "wrist");
-    if (!vel || vel.speed < minSpeed) return "none";
-    if (Math.abs(vel.x) > Math.abs(vel.y)) return vel.x > 0 ? "right" : "left";
-    return vel.y > 0 ? "down" : "up";
+  // Remember where the object and its holders are, so moving and
+  // stretching are measured from here. Called whenever holders change.
+  Tracker.prototype._grabRebase = function (item) {
+    var pointers = this._grabPointers;
+    var pts = item.holders.map(function (id) { return { x: pointers[id].x, y: pointers[id].y }; });
+    item.base = { x: item.obj.x, y: item.obj.y, size: _grabSize(item.obj), pts: pts };
   };
 
-  /**
-   * Map a point from video coordinates to canvas coordinates.
-   * Useful when canvas and video sizes differ.
-   */
-  p5.prototype.mapHandPoint = function (pt) {
-    if (!pt || !_video || !_pInst) return pt;
-    var vw = _video.width, vh = _video.height;
-    if (!vw || !vh) return pt;
-    return {
-      x: (pt.x / vw) * _pInst.width,
-      y: (pt.y / vh) * _pInst.height
-    };
+  Tracker.prototype._grabRelease = function (item, ptr) {
+    item.holders = item.holders.filter(function (id) { return id !== ptr.hand.id; });
+    ptr.item = null;
+    var vx = 0, vy = 0, trail = ptr.trail;
+    // Throw at the speed of the last ~150 ms, if this was the last hand on it
+    if (!item.holders.length && item.throwable && trail.length > 1) {
+      var a = trail[0], b = trail[trail.length - 1], dt = (b.t - a.t) / 1000;
+      if (dt > 0) { vx = (b.x - a.x) / dt; vy = (b.y - a.y) / dt; }
+    }
+    if (!item.holders.length) { item.vx = vx; item.vy = vy; }
+    if (item.holders.length) this._grabRebase(item);
+    if (item.onRelease) item.onRelease({ object: item.obj, hand: ptr.hand, vx: vx, vy: vy });
+  };
+
+  // One detection frame of drag-and-drop: follow each hand's pinch, pick up
+  // on pinch start, let go on pinch end, move held objects and coast thrown ones.
+  Tracker.prototype._updateGrabbables = function () {
+    var items = this._grabbables, pointers = this._grabPointers;
+    if (!items.length && !Object.keys(pointers).length) return;
+    var self = this, now = _now(), next = {}, id;
+    var dt = this._grabTime ? Math.min(0.1, (now - this._grabTime) / 1000) : 0;
+    this._grabTime = now;
+
+    this._source().forEach(function (hand) {
+      var pt = self.mapHandPoint(_pinchMid(hand));
+      if (!pt) return;
+      var prev = pointers[hand.id] || { pinching: false, item: null, trail: [] };
+      var pinching = GESTURE_PREDICATES.pinch(self, hand, prev.pinching, { hysteresis: 10 });
+      // Opening the fingers moves the pinch point, so the throw only
+      // counts pinched frames
+      var trail = pinching ? prev.trail.concat({ x: pt.x, y: pt.y, t: now }) : prev.trail;
+      next[hand.id] = {
+        hand: hand, x: pt.x, y: pt.y, item: prev.item,
+        wasPinching: prev.pinching,
+        pinching: pinching,
+        trail: trail.filter(function (s) { return s.t >= now - 150; })
+      };
+    });
+    this._grabPointers = next;
+
+    // Let go: the hand left, or its pinch ended. Hands that left are taken
+    // off every object first, so no object is rebased onto a hand that's gone.
+    var left = [];
+    for (id in pointers) {
+      if (pointers[id].item && !next[id]) left.push(pointers[id]);
+    }
+    left.forEach(function (old) {
+      old.item.holders = old.item.holders.filter(function (h) { return h !== old.hand.id; });
+    });
+    left.forEach(function (old) { self._grabRelease(old.item, old); });
+    for (id in next) {
+      if (next[id].item && !next[id].pinching) this._grabRelease(next[id].item, next[id]);
+    }
+    // Pick up: the top-most object under a fresh pinch that isn't full
+    for (id in next) {
+      var p = next[id];
+      if (!p.pinching || p.wasPinching || p.item) continue;
+      for (var i = items.length - 1; i >= 0; i--) {
+        var item = items[i];
+        if (item.holders.length >= (item.scalable ? 2 : 1) || (item.which && !_handMatches(p.hand, item.which))) continue;
+        if (!_grabHit(item.obj, item.shape, p)) continue;
+        p.item = item;
+        item.holders.push(p.hand.id);
+        item.vx = item.vy = 0;
+        this._grabRebase(item);
+        if (item.onGrab) item.onGrab({ object: item.obj, hand: p.hand });
+        break;
+      }
+    }
+
+    items.forEach(function (item) {
+      var obj = item.obj, base = item.base;
+      if (item.holders.length === 1) {
+        var h = next[item.holders[0]];
+        obj.x = base.x + h.x - base.pts[0].x;
+        obj.y = base.y + h.y - base.pts[0].y;
+      } else if (item.holders.length === 2) {
+        // Two hands: stretch about the midpoint between the pinches
+        var a = next[item.holders[0]], b = next[item.holders[1]];
+        var mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        var baseMid = { x: (base.pts[0].x + base.pts[1].x) / 2, y: (base.pts[0].y + base.pts[1].y) / 2 };
+        var d0 = _dist(base.pts[0], base.pts[1]);
+        var k = d0 > 0 ? _dist(a, b) / d0 : 1;
+        obj.x = mid.x + (base.x - baseMid.x) * k;
+        obj.y = mid.y + (base.y - baseMid.y) * k;
+        _setGrabSize(obj, base.size, k);
+      } else if (item.vx || item.vy) {
+        obj.x += item.vx * dt;
+        obj.y += item.vy * dt;
+        var keep = Math.pow(item.friction, dt * 60);
+        item.vx *= keep; item.vy *= keep;
+        if (Math.sqrt(item.vx * item.vx + item.vy * item.vy) < 5) item.vx = item.vy = 0;
+      }
+    });
   };
 
   // ============================================================
   //  DRAWING
   // ============================================================
 
-  /** Draw the webcam video on the canvas. Automatically mirrors when flipped: true. */
-  p5.prototype.drawVideo = function () {
-    if (!_video) return;
-    if (_flipped) {
-      this.push();
-      this.translate(this.width, 0);
-      this.scale(-1, 1);
-      this.image(_video, 0, 0, this.width, this.height);
-      this.pop();
+  // Start a drawing helper: push, and in WEBGL move the origin from the
+  // middle to the top-left corner, so canvas pixels mean the same thing.
+  Tracker.prototype._beginDraw = function () {
+    var p = this.p;
+    p.push();
+    if (_isWebGL(p)) p.translate(-p.width / 2, -p.height / 2);
+  };
+
+  function _fillWith(p, c, alpha) {
+    p.fill(c[0], c[1], c[2], alpha !== undefined ? alpha : c[3] !== undefined ? c[3] : 255);
+  }
+
+  function _strokeWith(p, c, alpha) {
+    p.stroke(c[0], c[1], c[2], alpha !== undefined ? alpha : c[3] !== undefined ? c[3] : 255);
+  }
+
+  // Convex hull (Andrew's monotone chain), counter-clockwise.
+  function _convexHull(points) {
+    var pts = points.filter(Boolean).slice().sort(function (a, b) { return a.x - b.x || a.y - b.y; });
+    if (pts.length < 3) return pts;
+    function cross(o, a, b) { return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x); }
+    var lower = [], upper = [], i;
+    for (i = 0; i < pts.length; i++) {
+      while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], pts[i]) <= 0) lower.pop();
+      lower.push(pts[i]);
+    }
+    for (i = pts.length - 1; i >= 0; i--) {
+      while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], pts[i]) <= 0) upper.pop();
+      upper.push(pts[i]);
+    }
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+  }
+
+  // A bone as a rounded, tapered shape: radius ra at a, rb at b.
+  function _capsule(p, a, b, ra, rb) {
+    var dx = b.x - a.x, dy = b.y - a.y, len = Math.sqrt(dx * dx + dy * dy);
+    p.circle(a.x, a.y, ra * 2);
+    p.circle(b.x, b.y, rb * 2);
+    if (len === 0) return;
+    var nx = -dy / len, ny = dx / len;
+    p.quad(a.x + nx * ra, a.y + ny * ra, b.x + nx * rb, b.y + ny * rb,
+      b.x - nx * rb, b.y - ny * rb, a.x - nx * ra, a.y - ny * ra);
+  }
+
+  // Finger bones with their radii, from how wide the palm is: thick at the
+  // knuckle, thinner toward the tip. The palm itself is left out.
+  function _handBones(kps, grow) {
+    var palm = _dist(kps[KP.index_finger_mcp], kps[KP.pinky_finger_mcp]);
+    if (palm === Infinity) return [];
+    var bones = [];
+    FINGER_NAMES.forEach(function (name) {
+      var chain = FINGER_CONNECTIONS[name];
+      var base = palm * (name === "thumb" ? 0.17 : name === "pinky" ? 0.12 : 0.14);
+      // The thumb starts at the wrist; the other fingers at their knuckle
+      for (var i = name === "thumb" ? 0 : 1; i < chain.length - 1; i++) {
+        var a = kps[chain[i]], b = kps[chain[i + 1]];
+        if (!a || !b) continue;
+        bones.push({ finger: name, a: a, b: b, ra: base * (1 - i * 0.08) + grow, rb: base * (1 - (i + 1) * 0.08) + grow });
+      }
+    });
+    return bones;
+  }
+
+  // The palm as a polygon: wrist, thumb base, then the knuckles.
+  function _palmShape(p, kps, grow) {
+    var ids = [KP.wrist, KP.thumb_cmc, KP.index_finger_mcp, KP.middle_finger_mcp, KP.ring_finger_mcp, KP.pinky_finger_mcp];
+    if (grow) {
+      p.strokeWeight(grow * 2);
+      p.strokeJoin(p.ROUND);
+    }
+    p.beginShape();
+    ids.forEach(function (i) { if (kps[i]) p.vertex(kps[i].x, kps[i].y); });
+    p.endShape(p.CLOSE);
+  }
+
+  // The whole hand as one filled shape, grown by `grow` pixels all round.
+  function _silhouette(p, kps, color, grow) {
+    _fillWith(p, color);
+    if (grow) _strokeWith(p, color); else p.noStroke();
+    _palmShape(p, kps, grow);
+    p.noStroke();
+    _handBones(kps, grow).forEach(function (bone) { _capsule(p, bone.a, bone.b, bone.ra, bone.rb); });
+  }
+
+  var _warnedStyles = {};
+
+  // drawHands({ style }) looks. Each gets (p, keypoints in canvas pixels, options).
+  var HAND_STYLES = {
+    // Dots and lines, colored by finger
+    "default": function (p, kps, options) {
+      var size = options.size || 8;
+      var showSkeleton = options.skeleton !== false;
+      var showLandmarks = options.landmarks !== false && !options.drawKeypoint;
+      var colorByFinger = options.colorByFinger !== false;
+      var showLabels = options.labels || false;
+      var sw = options.strokeWeight || 2;
+      var defaultColor = options.color || [255, 255, 255];
+      var strokeColor = options.strokeColor || [255, 255, 255, 150];
+
+      // — Skeleton lines —
+      if (showSkeleton) {
+        p.strokeWeight(sw);
+        for (var fi = 0; fi < FINGER_NAMES.length; fi++) {
+          var fname = FINGER_NAMES[fi];
+          var c = colorByFinger ? FINGER_COLORS[fname] : strokeColor;
+          p.stroke(c[0], c[1], c[2], c[3] !== undefined ? c[3] : 150);
+          var conn = FINGER_CONNECTIONS[fname];
+          for (var ci = 0; ci < conn.length - 1; ci++) {
+            var a = kps[conn[ci]], b = kps[conn[ci + 1]];
+            if (a && b) p.line(a.x, a.y, b.x, b.y);
+          }
+        }
+        // Palm outline
+        p.stroke(strokeColor[0] || 255, strokeColor[1] || 255, strokeColor[2] || 255, 100);
+        for (var pi = 0; pi < PALM_CONNECTIONS.length; pi++) {
+          var pa = kps[PALM_CONNECTIONS[pi][0]], pb = kps[PALM_CONNECTIONS[pi][1]];
+          if (pa && pb) p.line(pa.x, pa.y, pb.x, pb.y);
+        }
+      }
+
+      // — Landmark dots —
+      if (showLandmarks) {
+        p.noStroke();
+        for (var ki = 0; ki < kps.length; ki++) {
+          var kp = kps[ki];
+          if (!kp) continue;
+          if (colorByFinger) {
+            var col = defaultColor;
+            for (var fj = 0; fj < FINGER_NAMES.length; fj++) {
+              if (ki !== 0 && FINGER_CONNECTIONS[FINGER_NAMES[fj]].indexOf(ki) !== -1) {
+                col = FINGER_COLORS[FINGER_NAMES[fj]]; break;
+              }
+            }
+            p.fill(col[0], col[1], col[2]);
+          } else {
+            p.fill(defaultColor[0], defaultColor[1], defaultColor[2]);
+          }
+          p.circle(kp.x, kp.y, size);
+
+          if (showLabels && _canDrawText(p)) {
+            p.fill(255); p.textSize(8); p.textAlign(p.LEFT, p.TOP);
+            p.text(kp.name || ki, kp.x + size, kp.y);
+          }
+        }
+      }
+    },
+
+    // Filled convex hull around every keypoint
+    hull: function (p, kps, options) {
+      var hull = _convexHull(kps);
+      _fillWith(p, options.color || [255, 255, 255, 90]);
+      _strokeWith(p, options.strokeColor || [255, 255, 255, 200]);
+      p.strokeWeight(options.strokeWeight || 2);
+      p.strokeJoin(p.ROUND);
+      p.beginShape();
+      hull.forEach(function (pt) { p.vertex(pt.x, pt.y); });
+      p.endShape(p.CLOSE);
+    },
+
+    // Solid shape of the hand: palm and fingers
+    silhouette: function (p, kps, options) {
+      _silhouette(p, kps, options.color || [255, 255, 255, 200], 0);
+    },
+
+    // Tapered bones, thick at the knuckles, colored by finger
+    bones: function (p, kps, options) {
+      p.noStroke();
+      _fillWith(p, options.strokeColor || [255, 255, 255, 60]);
+      _palmShape(p, kps, 0);
+      _handBones(kps, 0).forEach(function (bone) {
+        _fillWith(p, options.colorByFinger !== false ? FINGER_COLORS[bone.finger] : options.color || [255, 255, 255], 220);
+        _capsule(p, bone.a, bone.b, bone.ra * 0.8, bone.rb * 0.8);
+      });
+    },
+
+    // Neon lines: wide faint strokes under a bright core
+    glow: function (p, kps, options) {
+      var sw = options.strokeWeight || 3;
+      var lines = [];
+      FINGER_NAMES.forEach(function (name) {
+        var chain = FINGER_CONNECTIONS[name];
+        for (var i = 0; i < chain.length - 1; i++) lines.push({ finger: name, a: kps[chain[i]], b: kps[chain[i + 1]] });
+      });
+      PALM_CONNECTIONS.forEach(function (c) { lines.push({ finger: null, a: kps[c[0]], b: kps[c[1]] }); });
+      p.noFill();
+      [[8, 20], [5, 40], [3, 80], [1.5, 160]].forEach(function (layer) {
+        p.strokeWeight(sw * layer[0]);
+        lines.forEach(function (l) {
+          if (!l.a || !l.b) return;
+          var c = options.color || (options.colorByFinger !== false && l.finger ? FINGER_COLORS[l.finger] : [120, 220, 255]);
+          _strokeWith(p, c, layer[1]);
+          p.line(l.a.x, l.a.y, l.b.x, l.b.y);
+        });
+      });
+      // White-hot core
+      p.stroke(255, 255, 255, 230);
+      p.strokeWeight(sw * 0.6);
+      lines.forEach(function (l) { if (l.a && l.b) p.line(l.a.x, l.a.y, l.b.x, l.b.y); });
+    },
+
+    // Cartoon glove: outlined white hand with a cuff and three stitches
+    glove: function (p, kps, options) {
+      var wrist = kps[KP.wrist], mcp = kps[KP.middle_finger_mcp];
+      if (!wrist || !mcp) return;
+      var color = options.color || [255, 255, 255];
+      var outline = options.strokeColor || [20, 20, 20];
+      var ow = options.strokeWeight || 4;
+      var palm = _dist(kps[KP.index_finger_mcp], kps[KP.pinky_finger_mcp]);
+
+      // Cuff, behind the hand
+      p.push();
+      p.translate(wrist.x, wrist.y);
+      p.rotate(_toAngleMode(p, Math.atan2(mcp.y - wrist.y, mcp.x - wrist.x) + Math.PI / 2));
+      _fillWith(p, color);
+      _strokeWith(p, outline);
+      p.strokeWeight(ow);
+      p.rectMode(p.CENTER);
+      p.rect(0, palm * 0.15, palm * 1.2, palm * 0.45, palm * 0.15);
+      p.pop();
+
+      _silhouette(p, kps, outline, ow);
+      _silhouette(p, kps, color, 0);
+
+      // Stitches on the back of the hand
+      _strokeWith(p, outline, 160);
+      p.strokeWeight(Math.max(1, ow / 2));
+      [KP.index_finger_mcp, KP.middle_finger_mcp, KP.ring_finger_mcp].forEach(function (i) {
+        var k = kps[i];
+        if (!k) return;
+        p.line(_lerp(wrist.x, k.x, 0.3), _lerp(wrist.y, k.y, 0.3), _lerp(wrist.x, k.x, 0.65), _lerp(wrist.y, k.y, 0.65));
+      });
+    }
+  };
+
+  /**
+   * Draw the webcam video on the canvas, placed as set by setHandsView().
+   * Automatically mirrors when flipped: true.
+   */
+  Tracker.prototype.drawVideo = function () {
+    var p = this.p;
+    if (!this._video || !p) return;
+    var t = this._fitTransform();
+    this._beginDraw();
+    if (this._flipped) {
+      p.translate(t.ox + t.w, t.oy);
+      p.scale(-1, 1);
     } else {
-      this.image(_video, 0, 0, this.width, this.height);
+      p.translate(t.ox, t.oy);
     }
+    p.image(this._video, 0, 0, t.w, t.h);
+    p.pop();
   };
 
   /**
@@ -640,142 +4723,290 @@
    *   skeleton      — draw connection lines (default true)
    *   landmarks     — draw keypoint dots (default true)
    *   labels        — show keypoint names (default false)
+   *   style         — "default", "hull", "silhouette", "bones", "glow",
+   *                   "glove", or function (keypoints, hand, options)
+   *   drawKeypoint  — function (kp, index, hand) drawing each keypoint,
+   *                   instead of the dots (on top, for the other styles)
    */
-  p5.prototype.drawHands = function (options) {
-    var hands = _smoothing > 0 ? _smoothedHands : _hands;
+  Tracker.prototype.drawHands = function (options) {
+    var hands = this._source();
     for (var i = 0; i < hands.length; i++) {
       this.drawOneHand(hands[i], options);
     }
   };
 
   /** Draw a single hand. Pass a hand object or "left"/"right". */
-  p5.prototype.drawOneHand = function (handOrWhich, options) {
-    var hand = typeof handOrWhich === "string" ? _resolveHand(handOrWhich) : handOrWhich;
-    if (!hand || !hand.keypoints) return;
+  Tracker.prototype.drawOneHand = function (handOrWhich, options) {
+    var hand = typeof handOrWhich === "string" ? this._resolveHand(handOrWhich) : handOrWhich;
+    var p = this.p;
+    if (!hand || !hand.keypoints || !p) return;
     options = options || {};
+    var kps = this._canvasKeypoints(hand);
+    var style = options.style || "default";
 
-    var size = options.size || 8;
-    var showSkeleton = options.skeleton !== false;
-    var showLandmarks = options.landmarks !== false;
-    var colorByFinger = options.colorByFinger !== false;
-    var showLabels = options.labels || false;
-    var sw = options.strokeWeight || 2;
-    var defaultColor = options.color || [255, 255, 255];
-    var strokeColor = options.strokeColor || [255, 255, 255, 150];
-    var kps = hand.keypoints;
-
-    this.push();
-
-    // — Skeleton lines —
-    if (showSkeleton) {
-      this.strokeWeight(sw);
-      for (var fi = 0; fi < FINGER_NAMES.length; fi++) {
-        var fname = FINGER_NAMES[fi];
-        var c = colorByFinger ? FINGER_COLORS[fname] : strokeColor;
-        this.stroke(c[0], c[1], c[2], c[3] !== undefined ? c[3] : 150);
-        var conn = FINGER_CONNECTIONS[fname];
-        for (var ci = 0; ci < conn.length - 1; ci++) {
-          var a = kps[conn[ci]], b = kps[conn[ci + 1]];
-          if (a && b) this.line(a.x, a.y, b.x, b.y);
-        }
+    this._beginDraw();
+    if (typeof style === "function") {
+      style(kps, hand, options);
+    } else {
+      if (!HAND_STYLES[style] && !_warnedStyles[style]) {
+        _warnedStyles[style] = true;
+        console.warn("p5.Hands: unknown hand style \"" + style + "\" — using the default.");
       }
-      // Palm outline
-      this.stroke(strokeColor[0] || 255, strokeColor[1] || 255, strokeColor[2] || 255, 100);
-      for (var pi = 0; pi < PALM_CONNECTIONS.length; pi++) {
-        var pa = kps[PALM_CONNECTIONS[pi][0]], pb = kps[PALM_CONNECTIONS[pi][1]];
-        if (pa && pb) this.line(pa.x, pa.y, pb.x, pb.y);
-      }
-    }
-
-    // — Landmark dots —
-    if (showLandmarks) {
-      this.noStroke();
-      for (var ki = 0; ki < kps.length; ki++) {
-        var kp = kps[ki];
-        if (!kp) continue;
-        if (colorByFinger) {
-          var col = defaultColor;
-          for (var fj = 0; fj < FINGER_NAMES.length; fj++) {
-            if (ki !== 0 && FINGER_CONNECTIONS[FINGER_NAMES[fj]].indexOf(ki) !== -1) {
-              col = FINGER_COLORS[FINGER_NAMES[fj]]; break;
-            }
-          }
-          this.fill(col[0], col[1], col[2]);
-        } else {
-          this.fill(defaultColor[0], defaultColor[1], defaultColor[2]);
-        }
-        this.circle(kp.x, kp.y, size);
-
-        if (showLabels) {
-          this.fill(255); this.textSize(8); this.textAlign(this.LEFT, this.TOP);
-          this.text(kp.name || ki, kp.x + size, kp.y);
-        }
+      (HAND_STYLES[style] || HAND_STYLES["default"])(p, kps, options);
+    }
+    if (options.drawKeypoint) {
+      for (var i = 0; i < kps.length; i++) {
+        if (!kps[i]) continue;
+        p.push();
+        options.drawKeypoint(kps[i], i, hand);
+        p.pop();
       }
     }
-
-    this.pop();
+    p.pop();
   };
 
   /** Draw only landmarks (dots). */
-  p5.prototype.drawLandmarks = function (which, options) {
+  Tracker.prototype.drawLandmarks = function (which, options) {
     if (typeof which === "object" && which !== null && !which.keypoints) { options = which; which = undefined; }
     var opts = Object.assign({}, options, { skeleton: false });
     if (which) this.drawOneHand(which, opts); else this.drawHands(opts);
   };
 
   /** Draw only skeleton (lines). */
-  p5.prototype.drawSkeleton = function (which, options) {
+  Tracker.prototype.drawSkeleton = function (which, options) {
     if (typeof which === "object" && which !== null && !which.keypoints) { options = which; which = undefined; }
     var opts = Object.assign({}, options, { landmarks: false });
     if (which) this.drawOneHand(which, opts); else this.drawHands(opts);
   };
 
   /** Highlight a specific finger. */
-  p5.prototype.drawFinger = function (which, finger, options) {
+  Tracker.prototype.drawFinger = function (which, finger, options) {
     if (finger === undefined && FINGER_NAMES.indexOf(which) !== -1) {
       finger = which; which = undefined;
     }
-    var hand = _resolveHand(which);
-    if (!hand || !hand.keypoints) return;
+    var hand = this._resolveHand(which);
+    var p = this.p;
+    if (!hand || !hand.keypoints || !p) return;
     options = options || {};
     var sz = options.size || 10;
     var col = options.color || FINGER_COLORS[finger] || [255, 255, 255];
     var sw = options.strokeWeight || 3;
-    var kps = hand.keypoints;
+    var kps = this._canvasKeypoints(hand);
     var conn = FINGER_CONNECTIONS[finger];
     if (!conn) return;
 
-    this.push();
-    this.stroke(col[0], col[1], col[2]); this.strokeWeight(sw);
+    this._beginDraw();
+    p.stroke(col[0], col[1], col[2]); p.strokeWeight(sw);
     for (var i = 0; i < conn.length - 1; i++) {
       var a = kps[conn[i]], b = kps[conn[i + 1]];
-      if (a && b) this.line(a.x, a.y, b.x, b.y);
+      if (a && b) p.line(a.x, a.y, b.x, b.y);
     }
-    this.noStroke(); this.fill(col[0], col[1], col[2]);
+    p.noStroke(); p.fill(col[0], col[1], col[2]);
     for (var j = 1; j < conn.length; j++) {
       var kp = kps[conn[j]];
-      if (kp) this.circle(kp.x, kp.y, sz);
+      if (kp) p.circle(kp.x, kp.y, sz);
     }
-    this.pop();
+    p.pop();
   };
 
   /**
    * Show a helpful status message while model loads or no hands are visible.
    * Great to call in draw() so beginners know what's happening.
    */
-  p5.prototype.drawHandsStatus = function () {
-    this.push();
-    this.textAlign(this.CENTER, this.CENTER);
-    if (!_ready) {
-      this.fill(255); this.textSize(20);
-      this.text("Loading hand tracking...", this.width / 2, this.height / 2);
-    } else if ((_smoothing > 0 ? _smoothedHands : _hands).length === 0) {
-      this.fill(255, 255, 255, 160); this.textSize(16);
-      this.text("Show your hand to the camera", this.width / 2, this.height - 30);
+  Tracker.prototype.drawHandsStatus = function () {
+    var p = this.p;
+    if (!p) return;
+    this._beginDraw();
+    var canText = _canDrawText(p);
+    p.textAlign(p.CENTER, p.CENTER);
+    if (!this._ready) {
+      if (canText) {
+        p.fill(255); p.textSize(20);
+        p.text("Loading hand tracking...", p.width / 2, p.height / 2);
+      } else {
+        // No font in WEBGL: a spinner instead
+        var a = (_now() / 200) % (2 * Math.PI);
+        p.noFill(); p.stroke(255); p.strokeWeight(4);
+        p.arc(p.width / 2, p.height / 2, 40, 40, _toAngleMode(p, a), _toAngleMode(p, a + 4.5));
+      }
+    } else if (this._source().length === 0 && canText) {
+      p.fill(255, 255, 255, 160); p.textSize(16);
+      var hint = this._simulation ? "Move the mouse over the canvas" : "Show your hand to the camera";
+      p.text(hint, p.width / 2, p.height - 30);
+    }
+    p.pop();
+  };
+
+  // ============================================================
+  //  3D HANDS — spheres and cylinders in a WEBGL sketch
+  // ============================================================
+
+  var _warned2D = false;
+
+  // Canvas keypoints with a z taken from keypoints3D, relative to the wrist.
+  // The 3D model is in meters; it is scaled to pixels by comparing the bones'
+  // lengths seen from the camera (x/y) in both.
+  Tracker.prototype._handPoints3D = function (hand, depth) {
+    var kps = this._canvasKeypoints(hand);
+    var k3 = hand.keypoints3D;
+    var px = 0, m = 0;
+    if (k3) {
+      FINGER_NAMES.forEach(function (name) {
+        var chain = FINGER_CONNECTIONS[name];
+        for (var i = 0; i < chain.length - 1; i++) {
+          var a = kps[chain[i]], b = kps[chain[i + 1]], a3 = k3[chain[i]], b3 = k3[chain[i + 1]];
+          if (a && b && a3 && b3) { px += _dist(a, b); m += _dist(a3, b3); }
+        }
+      });
+    }
+    var scale = m > 0 ? px / m * depth : 0;
+    var z0 = scale && k3[KP.wrist] ? k3[KP.wrist].z || 0 : 0;
+    return kps.map(function (kp, i) {
+      if (!kp) return null;
+      var z = scale && k3[i] ? -((k3[i].z || 0) - z0) * scale : 0;
+      return { x: kp.x, y: kp.y, z: z };
+    });
+  };
+
+  // A cylinder from a to b. p5 cylinders stand along y, so turn y onto a→b.
+  function _cylinderBetween(p, a, b, r, detail) {
+    var dx = b.x - a.x, dy = b.y - a.y, dz = b.z - a.z;
+    var len = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (!len) return;
+    p.push();
+    p.translate((a.x + b.x) / 2, (a.y + b.y) / 2, (a.z + b.z) / 2);
+    if (dx * dx + dz * dz > 1e-9 * len * len) {
+      p.rotate(_toAngleMode(p, Math.acos(Math.max(-1, Math.min(1, dy / len)))), [dz, 0, -dx]);
+    }
+    p.cylinder(r, len, detail, 1);
+    p.pop();
+  }
+
+  // Which finger a keypoint belongs to (null for the wrist).
+  function _fingerOf(index) {
+    for (var f = 0; f < FINGER_NAMES.length; f++) {
+      if (index !== 0 && FINGER_CONNECTIONS[FINGER_NAMES[f]].indexOf(index) !== -1) return FINGER_NAMES[f];
+    }
+    return null;
+  }
+
+  /**
+   * Draw the hands in 3D in a WEBGL sketch: a sphere at each keypoint and a
+   * cylinder along each bone, with depth from the model's 3D keypoints. The
+   * hands line up with drawVideo() when the camera is at its default, and
+   * turn with orbitControl(). Uses lights() or materials if you set them.
+   *
+   *   createCanvas(640, 480, WEBGL);
+   *   ...
+   *   orbitControl();
+   *   drawHands3D({ size: 12, depth: 1.5 });
+   *
+   * Options:
+   *   size          — sphere diameter (default 10)
+   *   strokeWeight  — cylinder diameter (default 5)
+   *   color         — [r,g,b] for the spheres
+   *   strokeColor   — [r,g,b] for the cylinders
+   *   colorByFinger — different color per finger (default true)
+   *   skeleton      — draw the bones (default true)
+   *   landmarks     — draw the keypoints (default true)
+   *   depth         — multiplier for the z axis (default 1)
+   *   detail        — sphere/cylinder segments (default 12)
+   *
+   * On a 2D canvas it warns once and draws drawHands() instead.
+   */
+  Tracker.prototype.drawHands3D = function (options) {
+    var p = this.p;
+    if (!p) return;
+    if (!_isWebGL(p)) {
+      if (!_warned2D) {
+        _warned2D = true;
+        console.warn("p5.Hands: drawHands3D() needs createCanvas(w, h, WEBGL) — drawing in 2D instead.");
+      }
+      this.drawHands(options);
+      return;
+    }
+    options = options || {};
+    var hands = this._source();
+    for (var i = 0; i < hands.length; i++) {
+      if (hands[i] && hands[i].keypoints) this._drawHand3D(hands[i], options);
+    }
+  };
+
+  Tracker.prototype._drawHand3D = function (hand, options) {
+    var p = this.p;
+    var pts = this._handPoints3D(hand, options.depth !== undefined ? options.depth : 1);
+    var size = options.size || 10;
+    var boneSize = options.strokeWeight || 5;
+    var detail = options.detail || 12;
+    var colorByFinger = options.colorByFinger !== false;
+    var boneColor = options.strokeColor || [255, 255, 255];
+    var dotColor = options.color || [255, 255, 255];
+
+    this._beginDraw();
+    p.noStroke();
+    if (options.skeleton !== false) {
+      FINGER_NAMES.forEach(function (name) {
+        var chain = FINGER_CONNECTIONS[name];
+        _fillWith(p, colorByFinger ? FINGER_COLORS[name] : boneColor);
+        for (var i = 0; i < chain.length - 1; i++) {
+          var a = pts[chain[i]], b = pts[chain[i + 1]];
+          if (a && b) _cylinderBetween(p, a, b, boneSize / 2, detail);
+        }
+      });
+      // Across the knuckles (the wrist bones are already in the finger chains)
+      _fillWith(p, boneColor);
+      PALM_CONNECTIONS.forEach(function (c) {
+        if (c[0] === KP.wrist) return;
+        if (pts[c[0]] && pts[c[1]]) _cylinderBetween(p, pts[c[0]], pts[c[1]], boneSize / 2, detail);
+      });
+    }
+    if (options.landmarks !== false) {
+      for (var k = 0; k < pts.length; k++) {
+        var pt = pts[k];
+        if (!pt) continue;
+        var finger = colorByFinger ? _fingerOf(k) : null;
+        _fillWith(p, finger ? FINGER_COLORS[finger] : dotColor);
+        p.push();
+        p.translate(pt.x, pt.y, pt.z);
+        p.sphere(size / 2, detail, detail);
+        p.pop();
+      }
     }
-    this.pop();
+    p.pop();
   };
 
+  // ============================================================
+  //  GLOBAL HELPERS — thin layer over each sketch's default tracker
+  // ============================================================
+
+  // Each p5 instance lazily gets its own tracker, so instance-mode sketches
+  // on the same page stay independent.
+  function _defaultTracker(pInst) {
+    if (!pInst._handsTracker) pInst._handsTracker = new Tracker(pInst);
+    return pInst._handsTracker;
+  }
+
+  Object.keys(Tracker.prototype).forEach(function (name) {
+    if (name.charAt(0) === "_") return;
+    p5.prototype[name] = function () {
+      var tracker = _defaultTracker(this);
+      return tracker[name].apply(tracker, arguments);
+    };
+  });
+
+  // loadHands() also has to tell p5 when the model is ready, so preload() can finish.
+  p5.prototype.loadHands = function (options) {
+    var self = this;
+    _defaultTracker(this).loadHands(options, function () {
+      if (self._decrementPreload) self._decrementPreload();
+    });
+  };
+
+  p5.prototype.registerPreloadMethod("loadHands", p5.prototype);
+
+  /** Get the tracker behind the global helpers of this sketch. */
+  p5.prototype.getHandsTracker = function () { return _defaultTracker(this); };
+
   // ============================================================
   //  STATIC NAMESPACE — for advanced users
   // ============================================================
@@ -788,6 +5019,7 @@
     FINGER_COLORS: FINGER_COLORS,
     FINGER_CONNECTIONS: FINGER_CONNECTIONS,
     PALM_CONNECTIONS: PALM_CONNECTIONS,
+    Tracker: Tracker,
     dist: _dist
   };
 